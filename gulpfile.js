@@ -12,6 +12,45 @@ var gulp   = require('gulp'),
 	srcmap = require('gulp-sourcemaps');
 
 // Scripts may be concatenated in a particular order
+// The simulation code is loaded by both the server and the clients
+gulp.task('build-shared', function() {
+	var
+	prepend = "(function (){\n",
+	append  = "\n})();",
+	srcs = [
+		"src/shared/Init.js",
+		"src/shared/Util.js",
+		"src/shared/Protocol.js",
+		"src/shared/Team.js",
+		"src/shared/controllables/Controllable.js",
+		"src/shared/controllables/Character.js",
+		"src/shared/weapons/Weapon.js",
+		"src/shared/weapons/Rifle.js",
+		"src/shared/projectiles/Projectile.js",
+		"src/shared/**/*.js",
+	],
+	dist = "build",
+	name = "herstal.shared.js",
+	min  = "herstal.shared.min.js";
+
+	// extended file
+	var file = gulp.src(srcs)
+		.pipe(concat(name))
+		.pipe(insert.wrap(prepend, append))
+		.pipe(babel({
+			presets : ['es2015']
+		}))
+		.pipe(gulp.dest(dist));
+
+	// minified file
+	var min_file = file.pipe(rename(min))
+		.pipe(srcmap.init())
+		.pipe(uglify())
+		.pipe(srcmap.write('./'))
+		.pipe(gulp.dest(dist));
+
+});
+
 gulp.task('build-server', function() {
 	var
 	prepend = "(function (){\n",
@@ -19,14 +58,11 @@ gulp.task('build-server', function() {
 	srcs = [
 		"src/server/Init.js",
 		"src/server/Server.js",
-		"src/server/Util.js",
-		"src/server/Team.js",
-		"src/server/Controller.js",
-		"src/server/Controllable.js",
-		"src/server/Character.js",
-		"src/server/Vehicule.js",
-		"src/server/weapons/Weapon.js",
-		"src/server/projectiles/Projectile.js",
+		"src/server/controllers/Controller.js",
+		"src/server/controllables/Vehicule.js",
+		"src/server/modes/GameMode.js",
+		"src/server/modes/Deathmatch.js",
+		"src/server/modes/TeamDeathmatch.js",
 		"src/server/**/*.js",
 		"src/server/End.js",
 	],
@@ -97,5 +133,5 @@ gulp.task('build-config', function(){
 });
 
 gulp.task('default', [
-	'build-server', 'build-client', 'build-config',
+	'build-shared', 'build-server', 'build-client', 'build-config',
 ]);
@@ -15,22 +15,416 @@ SOCKET.emit('new_player', {
 
 var CLIENT = HERSTAL.CLIENT = {};
 
+// renders of the characters sorted by ids
+CLIENT.characters = {};
+
+// snapshots which can be used as base for the next deltas
+CLIENT.snapshots = {};
+// tick of the last snapshot recieved (-1 to ask for a full snapshot)
+CLIENT.ack = -1;
+
+// statistics of the players sorted by ids
+CLIENT.stats = {};
+// overlay displaying the statistics (null if the page has none)
+CLIENT.scoreboard = null;
+
+// how fast the estimation of the server clock follows the snapshots
+CLIENT.CLOCK_SMOOTHING = 0.1;
+
 // we init the game client side
 SOCKET.on('init_game', function(init){
 	// the current player of the client
 	CLIENT.player = new HERSTAL.CurrentPlayer(init.id);
 
 	CLIENT.fps  = init.fps;  // how fast the client should update
+	CLIENT.netRate = init.netRate; // how many states we will recieve per second
+	CLIENT.protocol = init.protocol; // encoding of the messages
 	CLIENT.name = init.name; // name of the server
-	CLIENT.map  = init.map;  // current map
 	CLIENT.mode = init.mode; // current game mode
 	CLIENT.players = init.players; // list of the players
+	if(document.getElementById("scoreboard")){
+		CLIENT.scoreboard = new HERSTAL.Scoreboard("scoreboard");
+	}
+	CLIENT.applyScoreboard({ players: init.scoreboard }); // statistics of the players
+	CLIENT.loadWeapons(init.weapons); // catalogue of the weapons
+	// the world is displayed in the div of the page
+	if(!CLIENT.canvas && document.getElementById("HERSTAL")) CLIENT.createCanvas("HERSTAL");
+	CLIENT.loadMap(init.map, init.collision); // current map
+
+	// we send our inputs as often as the server updates
+	CLIENT.inputsTimer = setInterval(CLIENT.sendInputs, 1000/CLIENT.fps);
+	// and we display the world as often as the browser can
+	window.requestAnimationFrame(CLIENT.render);
 });
 
-// receive data from the server
-SOCKET.on('states', function(state){
+// the server changed the map
+SOCKET.on('map', function(data){
+	if(typeof data === "object" && data !== null && typeof data.name === "string"){
+		CLIENT.loadMap(data.name, data.collision);
+	}
+});
+
+// the server started a match with another game mode
+SOCKET.on('mode', function(data){
+	if(typeof data === "object" && data !== null && typeof data.name === "string"){
+		CLIENT.mode = data.name;
+	}
+});
+
+// the match is over, the server sends the final ranking
+SOCKET.on('ranking', function(result){
+	if(typeof result === "object" && result !== null && Array.isArray(result.ranking)){
+		CLIENT.ranking = result.ranking;
+	}
+});
 
+// composition and scores of the teams
+SOCKET.on('teams', function(teams){
+	if(Array.isArray(teams)) CLIENT.teams = teams;
 });
 
-// send data to the server
-//SOCKET.emit('inputs', inputs);
+// a flag has been picked up, dropped, returned or captured
+SOCKET.on('flag', function(event){
+	if(typeof event === "object" && event !== null) CLIENT.flagEvent = event;
+});
+
+// states of the capture zones
+SOCKET.on('zones', function(zones){
+	if(Array.isArray(zones)) CLIENT.zones = zones;
+});
+
+// a capture zone has been taken or moved
+SOCKET.on('zone', function(event){
+	if(typeof event === "object" && event !== null) CLIENT.zoneEvent = event;
+});
+
+// a round starts, begins its fight or ends
+SOCKET.on('round', function(round){
+	if(typeof round === "object" && round !== null) CLIENT.round = round;
+});
+
+// one of our shots hit someone
+SOCKET.on('hit', function(hit){
+	if(typeof hit === "object" && hit !== null) CLIENT.hitEvent = hit;
+});
+
+// the weapons have been redefined on the server
+SOCKET.on('weapons', function(weapons){
+	CLIENT.loadWeapons(weapons);
+});
+
+// the statistics of some players changed
+SOCKET.on('scoreboard', function(update){
+	if(typeof update === "object" && update !== null) CLIENT.applyScoreboard(update);
+});
+
+// receive data from the server
+SOCKET.on('states', function(message){
+	// binary messages are decoded into the same objects as json messages
+	if(HERSTAL.PROTOCOL.isBinary(message)){
+		message = HERSTAL.PROTOCOL.decodeStates(message);
+	}
+	// since the data come from the network, we need to be careful
+	if(typeof message !== "object" || message === null) return null;
+	var snapshot = CLIENT.readSnapshot(message);
+	// the message could not be read
+	if(snapshot === null) return null;
+	CLIENT.tick = snapshot.tick;
+	CLIENT.syncClock(snapshot.tick);
+	CLIENT.updateCurrentCharacter(snapshot);
+	CLIENT.applyCharacterStates(snapshot.chars || {}, CLIENT.getTickTime(snapshot.tick));
+	CLIENT.applyFlagStates(snapshot.flags || {});
+});
+
+/**
+Display the map with the given name and collide with its boxes
+@method loadMap
+@param {String} name The name of the map
+@param {Object} [collision] Position and boxes of the map
+*/
+CLIENT.loadMap = function(name, collision){
+	CLIENT.map = name;
+	CLIENT.collision = collision || null;
+	if(CLIENT.worldRender) CLIENT.worldRender.loadMap(name);
+	// the predicted character must collide with the new map
+	var character = CLIENT.player ? CLIENT.player.character : null;
+	if(character) character.setMap(CLIENT.collision);
+};
+
+/**
+Create the render of the world and the canvas displaying it
+@method createCanvas
+@param {String} id The id of the div containing the canvas
+*/
+CLIENT.createCanvas = function(id){
+	var width = config.displayX, height = config.displayY;
+	var camera = new THREE.PerspectiveCamera(config.fov, width/height, 0.1, 1000);
+	CLIENT.worldRender = new HERSTAL.WorldRender(null, camera);
+	CLIENT.canvas = new HERSTAL.Canvas(id, width, height, CLIENT.worldRender, null);
+};
+
+/**
+Ask the server to play in another team
+@method requestTeam
+@param {Number} team The team to join
+*/
+CLIENT.requestTeam = function(team){
+	SOCKET.emit('team', { team: team });
+};
+
+/**
+Return the server time of the given tick
+@method getTickTime
+@param {Number} tick A tick of the server
+@return {Number} The time in ms
+*/
+CLIENT.getTickTime = function(tick){
+	return tick * 1000 / CLIENT.fps;
+};
+
+/**
+Update the statistics of the players
+@method applyScoreboard
+@param {Object} update The players which changed and the ids of the ones who left
+*/
+CLIENT.applyScoreboard = function(update){
+	var i, players = update.players, removed = update.removed;
+	if(Array.isArray(players)){
+		for(i=0; i<players.length; ++i){
+			if(players[i] != null) CLIENT.stats[players[i].id] = players[i];
+		}
+	}
+	if(Array.isArray(removed)){
+		for(i=0; i<removed.length; ++i) delete CLIENT.stats[removed[i]];
+	}
+	if(CLIENT.scoreboard !== null) CLIENT.scoreboard.update(CLIENT.stats);
+};
+
+// the scoreboard is shown with the key chosen in the preferences
+document.addEventListener('keydown', function(e){
+	var key = HERSTAL.CONFIG.preferences.scoreboard;
+	if(CLIENT.scoreboard === null || !key || key.isMouse) return null;
+	if((e.which || e.keyCode) === key.btn){
+		e.preventDefault(); // TAB would move the focus
+		// a held key repeats its keydown events
+		if(!e.repeat) CLIENT.scoreboard.toggle();
+	}
+}, false);
+
+/**
+Use the catalogue of the weapons of the server
+@method loadWeapons
+@param {Array} weapons The definitions of the weapons
+*/
+CLIENT.loadWeapons = function(weapons){
+	try{
+		HERSTAL.ARMORY.setDefinitions(weapons || []);
+	}catch(e){
+		console.log('Warning: ' + e.message);
+	}
+};
+
+/**
+Estimate the difference between the server clock and ours
+@method syncClock
+@param {Number} tick The tick of the last snapshot recieved
+*/
+CLIENT.syncClock = function(tick){
+	var offset = CLIENT.getTickTime(tick) - window.performance.now();
+	// we smooth the offset so the network jitter doesn't shake the display
+	if(CLIENT.clockOffset == null) CLIENT.clockOffset = offset;
+	else CLIENT.clockOffset += (offset - CLIENT.clockOffset) * CLIENT.CLOCK_SMOOTHING;
+};
+
+/**
+Return the estimated current time of the server
+@method getServerTime
+@return {Number} The time in ms
+*/
+CLIENT.getServerTime = function(){
+	return window.performance.now() + (CLIENT.clockOffset || 0);
+};
+
+/**
+Update the display of the world, called every frame
+@method render
+*/
+CLIENT.render = function(){
+	var time = CLIENT.getServerTime();
+	// the remote characters are interpolated
+	for(var id in CLIENT.characters){
+		CLIENT.characters[id].update(time);
+	}
+	if(CLIENT.canvas) CLIENT.canvas.renderUpdate();
+	window.requestAnimationFrame(CLIENT.render);
+};
+
+/**
+Create the character of the player or correct its predicted state
+@method updateCurrentCharacter
+@param {Object} snapshot The last snapshot recieved
+*/
+CLIENT.updateCurrentCharacter = function(snapshot){
+	var player = CLIENT.player,
+	    state  = (snapshot.chars || {})[snapshot.char];
+	// a dead player can follow another character (-1 if none)
+	player.spectating = snapshot.spec != null ? snapshot.spec : -1;
+	// the ammo is only sent if the weapon needs some
+	player.ammo    = snapshot.ammo    != null ? snapshot.ammo    : null;
+	player.reserve = snapshot.reserve != null ? snapshot.reserve : null;
+	// the player has no character in the world
+	if(state == null){
+		player.character = null;
+		return null;
+	}
+	// the player has a new character
+	if(player.character === null || player.character.id !== snapshot.char){
+		player.character = new HERSTAL.CurrentCharacter(
+			snapshot.char, player, state.pos, state.orient,
+			{ fps: CLIENT.fps, map: CLIENT.collision }
+		);
+	}
+	player.character.reconcile(state, snapshot.seq);
+};
+
+/**
+Rebuild the full snapshot from the message sent by the server
+@method readSnapshot
+@param {Object} message Full snapshot or delta from a previous snapshot
+@return {Object} The full snapshot (null if the base is unknown)
+*/
+CLIENT.readSnapshot = function(message){
+	var snapshot = message;
+	// if the message is a delta
+	if(message.base != null){
+		var base = CLIENT.snapshots[message.base];
+		// if we lost the base, we ask for a full snapshot
+		if(!base){
+			CLIENT.ack = -1;
+			return null;
+		}
+		snapshot = CLIENT.patch(base, message);
+	}
+	// the server won't use snapshots older than this one as base anymore
+	var oldest = message.base != null ? message.base : snapshot.tick;
+	for(var tick in CLIENT.snapshots){
+		if(+tick < oldest) delete CLIENT.snapshots[tick];
+	}
+	// we keep the snapshot and acknowledge it
+	CLIENT.snapshots[snapshot.tick] = snapshot;
+	CLIENT.ack = snapshot.tick;
+	return snapshot;
+};
+
+/**
+Apply the delta on the base snapshot
+@method patch
+@param {Object} base The snapshot the delta is based on
+@param {Object} delta The changes since the base
+@return {Object} The new snapshot
+*/
+CLIENT.patch = function(base, delta){
+	var snapshot = {},
+	    removed  = delta.removed || {},
+	    cat, id;
+	// we keep the header of the delta (tick, seq...)
+	for(cat in delta){
+		if(typeof delta[cat] !== "object" && cat !== "base"){
+			snapshot[cat] = delta[cat];
+		}
+	}
+	// each category of elements is an object in the snapshots
+	for(cat in base){
+		if(typeof base[cat] === "object" && base[cat] !== null){
+			var list = snapshot[cat] = {};
+			var prev = base [cat],
+			    curr = delta[cat] || {};
+			// we start from the states of the base
+			for(id in prev){
+				list[id] = Object.assign({}, prev[id], curr[id]);
+			}
+			// then we add the new elements
+			for(id in curr){
+				if(list[id] == null) list[id] = curr[id];
+			}
+			// and we remove the elements which left the world
+			var ids = removed[cat] || [];
+			for(var i=0; i<ids.length; ++i){
+				delete list[ids[i]];
+			}
+		}
+	}
+	return snapshot;
+};
+
+/**
+Update the renders of the characters from their states
+@method applyCharacterStates
+@param {Object} states States of the characters sorted by ids
+@param {Number} time The server time of the states
+*/
+CLIENT.applyCharacterStates = function(states, time){
+	var id, render;
+	for(id in states){
+		// the character of the player is predicted, not rendered from the states
+		if(CLIENT.player.character && CLIENT.player.character.id === +id) continue;
+		render = CLIENT.characters[id];
+		// if the character is new, we create its render
+		if(!render){
+			render = CLIENT.characters[id] = new HERSTAL.CharacterRender(
+				+id, null, states[id].pos, states[id].orient
+			);
+			if(CLIENT.worldRender) CLIENT.worldRender.addCharacterModel(render);
+		}
+		render.setStateFromJSON(states[id], time);
+	}
+	// characters missing from the states are not in the world anymore
+	for(id in CLIENT.characters){
+		if(states[id] == null || CLIENT.player.character &&
+			CLIENT.player.character.id === +id){
+			render = CLIENT.characters[id];
+			if(render.worldRender) render.worldRender.removeCharacterModel(render);
+			delete CLIENT.characters[id];
+		}
+	}
+};
+
+/**
+Keep the states of the flags and tell the characters which flag they carry
+@method applyFlagStates
+@param {Object} states States of the flags sorted by ids
+*/
+CLIENT.applyFlagStates = function(states){
+	CLIENT.flags = states;
+	var id, carriers = {};
+	for(id in states){
+		if(states[id].carrier > -1) carriers[states[id].carrier] = states[id].team;
+	}
+	for(id in CLIENT.characters){
+		CLIENT.characters[id].carriedFlag = carriers[id] != null ? carriers[id] : null;
+	}
+	var character = CLIENT.player.character;
+	if(character){
+		character.carriedFlag = carriers[character.id] != null ? carriers[character.id] : null;
+	}
+};
+
+/**
+Send the inputs of the player to the server
+along with the acknowledgement of the last snapshot
+@method sendInputs
+*/
+CLIENT.sendInputs = function(){
+	var character = CLIENT.player.character;
+	// the character moves right away, the server will correct it if needed
+	var inputs = character ? character.predict() : {};
+	inputs.ack = CLIENT.ack;
+	// the tick at which we display the other characters
+	// so the server can compensate our latency when we shoot
+	if(CLIENT.clockOffset != null){
+		inputs.view = Math.max(0, Math.floor((CLIENT.getServerTime() -
+			HERSTAL.CharacterRender.INTERPOLATION_DELAY) * CLIENT.fps / 1000));
+	}
+	SOCKET.emit('inputs', CLIENT.protocol === "binary" ?
+		HERSTAL.PROTOCOL.encodeInputs(inputs) : inputs);
+};
@@ -2,10 +2,19 @@ if(!window || !document) throw new Error("This librairy is meant to be used in a
 
 var HERSTAL = window.HERSTAL || {};
 
+// we need the simulation code shared with the server
+if(!HERSTAL.UTIL) throw new Error('herstal.shared.js must be loaded before herstal.client.js');
+// we recover the math helpers defined by the shared code
+var UTIL = HERSTAL.UTIL;
+
 // we need socketio to send data to the server
 if(!io) throw new Error('herstal needs Socket.io to work');
+// we need CANNON.js to predict the movement of the character
+if(!CANNON) throw new Error('herstal needs CANNON.js to predict movements');
 // we need THREE.js to render the game
 if(!THREE) throw new Error('herstal needs THREE.js to render the game');
+// we need DataView to decode the binary messages of the server
+if(!window.DataView) throw new Error('herstal needs DataView to read the server messages');
 // we need a configuration for the player
 if(!HERSTAL.CONFIG) throw new Error('herstal is not configured');
 // we need a server address to connect to
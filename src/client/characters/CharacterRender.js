@@ -1,8 +1,20 @@
 /**
 Class to manage characters appearance and animations
+Remote characters are displayed slightly in the past, between the two
+snapshots surrounding the render time, to hide the network jitter
 @class CharacterRender
 */
 class CharacterRender {
+	/**
+	@constructor
+	@param {Number} id The id of the character
+	@param {Object} player The player controlling the character
+	@param {Vector3} position The position of the character at start
+	@param {Vector2} orientation The orientation of the character at start
+	@param {Object} [options] Configuration of the render
+	@param {Number} [options.delay] How far in the past the character is displayed (ms)
+	@param {Number} [options.maxExtrapolation] How long we guess the position when packets are late (ms)
+	*/
 	constructor(id, player, position, orientation, options){
 		options = options || {};
 
@@ -16,13 +28,29 @@ class CharacterRender {
 		this.material = null;
 		this.mesh = new THREE.Mesh(this.geometry, this.material);
 
-		// we set the orientation of the character
-		this.setlook(orientation);
+		// states recieved from the server sorted by time
+		this.buffer = [];
+		this.delay = options.delay >= 0 ?
+			options.delay : CharacterRender.INTERPOLATION_DELAY;
+		this.maxExtrapolation = options.maxExtrapolation >= 0 ?
+			options.maxExtrapolation : CharacterRender.MAX_EXTRAPOLATION;
+
+		// 0 when standing up, 1 when fully crounched
+		this.crounchAmount = 0;
+		// team of the flag carried by the character (null if none)
+		this.carriedFlag = null;
+		// state of the weapon held, to animate it (see Weapon.STATES)
+		this.weaponState = null;
+
+		// we set the position and orientation of the character
+		if(UTIL.isVector3(position)) this.mesh.position.copy(position);
+		this.setLook(orientation || { x: 0, y: 0 });
 	}
 
 	/**
-	Set all of the position and movement of the character from the data object
-	@method setFromData
+	Store the state of the character sent by the server,
+	it will be displayed once the render time reaches it
+	@method setStateFromJSON
 	@param {Object} [data]   Data setting the state of the character
 	@param {Vec2}   [data.orient] Orientation of the character
 	@param {Vec3}   [data.pos] Position of the character
@@ -33,34 +61,118 @@ class CharacterRender {
 		[2] is jumping
 		[3] is firing
 		[4] is reloading
+		[5] is zoomed
+		[6] is attacking in melee
+	@param {Number} [data.wstate] Index of the state of the weapon in Weapon.STATES (Weapon.NO_STATE if none)
+	@param {Number} time The server time of the state (ms)
 	*/
-	setStateFromJSON(data){
+	setStateFromJSON(data, time){
 		// if data is empty, there is nothing to do
 		if(typeof data === "object" && data != null){
-			// we update the orientation of the character
-			if(UTIL.isVector2(data.orient)){
-				this.setLook(data.orient);
-			}
-			// if the position is set
-			if(UTIL.isVector3(data.pos)){
-				this.body.position.copy(data.pos);
-			}
-			// set the state of the character
-			if(typeof data.state === "number"){
-				this.isGrounded  = !!(data.state &     0b1);
-				this.isCrounched = !!(data.state &    0b10);
-				this.isJumping   = !!(data.state &   0b100);
-				this.isFiring    = !!(data.state &  0b1000);
-				this.isReloading = !!(data.state & 0b10000);
-			}
-			if(typeof data.weap === "number") this.currentWeapon = data.weap;
+			// states must be sorted, older states are ignored
+			var last = this.buffer[this.buffer.length-1];
+			if(last && last.time >= time) return null;
+			this.buffer.push({ time: time, state: data });
+		}
+	}
+
+	/**
+	Display the character as it was at the given time minus the delay
+	@method update
+	@param {Number} time The current server time (ms)
+	*/
+	update(time){
+		var buffer = this.buffer;
+		if(buffer.length === 0) return null;
+		var renderTime = time - this.delay;
+
+		// we forget the states we won't need to interpolate anymore
+		while(buffer.length > 2 && buffer[1].time <= renderTime){
+			buffer.shift();
+		}
+
+		var from = buffer[0], to = buffer[1];
+		// the render time is before the first state, we cannot go back further
+		if(renderTime <= from.time){
+			this._display(from.state, from.state, 0);
+		// the render time is between two states
+		}else if(to && renderTime <= to.time){
+			this._display(from.state, to.state,
+				(renderTime - from.time) / (to.time - from.time));
+		// packets are late, we guess where the character is
+		}else{
+			var last = to || from;
+			var elapsed = Math.min(renderTime - last.time, this.maxExtrapolation);
+			this._extrapolate(last.state, elapsed * 0.001);
+		}
+	}
+
+	/**
+	Display the character between two states
+	@method _display @private
+	@param {Object} a The state before the render time
+	@param {Object} b The state after the render time
+	@param {Number} t Progression from a to b within [0, 1]
+	*/
+	_display(a, b, t){
+		if(UTIL.isVector3(a.pos) && UTIL.isVector3(b.pos)){
+			this.mesh.position.set(
+				a.pos.x + (b.pos.x - a.pos.x) * t,
+				a.pos.y + (b.pos.y - a.pos.y) * t,
+				a.pos.z + (b.pos.z - a.pos.z) * t
+			);
+		}
+		if(UTIL.isVector2(a.orient) && UTIL.isVector2(b.orient)){
+			this.setLook({
+				x: CharacterRender.lerpAngle(a.orient.x, b.orient.x, t),
+				y: a.orient.y + (b.orient.y - a.orient.y) * t,
+			});
+		}
+		var ca = a.state & 0b10 ? 1 : 0,
+		    cb = b.state & 0b10 ? 1 : 0;
+		this.crounchAmount = ca + (cb - ca) * t;
+
+		// discrete values come from the closest state
+		var data = t < 0.5 ? a : b;
+		// set the state of the character
+		if(typeof data.state === "number"){
+			this.isGrounded  = !!(data.state &       0b1);
+			this.isCrounched = !!(data.state &      0b10);
+			this.isJumping   = !!(data.state &     0b100);
+			this.isFiring    = !!(data.state &    0b1000);
+			this.isReloading = !!(data.state &   0b10000);
+			this.isZoomed    = !!(data.state &  0b100000);
+			this.inMelee     = !!(data.state & 0b1000000);
+		}
+		if(typeof data.weap === "number") this.currentWeapon = data.weap;
+		if(typeof data.wstate === "number"){
+			// Weapon.NO_STATE when the character holds no weapon
+			this.weaponState = data.wstate !== HERSTAL.Weapon.NO_STATE ?
+				HERSTAL.Weapon.STATES[data.wstate] || null : null;
+		}
+	}
+
+	/**
+	Display the character further than the last state using its velocity
+	@method _extrapolate @private
+	@param {Object} state The last state recieved
+	@param {Number} seconds Time elapsed since the last state
+	*/
+	_extrapolate(state, seconds){
+		this._display(state, state, 0);
+		if(UTIL.isVector3(state.pos) && UTIL.isVector3(state.vel)){
+			this.mesh.position.set(
+				state.pos.x + state.vel.x * seconds,
+				state.pos.y + state.vel.y * seconds,
+				state.pos.z + state.vel.z * seconds
+			);
 		}
 	}
 
 	/**
 	Define how the character should be displayed based on the given orientation
 	*/
-	setlook(orientation){
+	setLook(orientation){
 
 	}
 
@@ -70,3 +182,24 @@ class CharacterRender {
 
 }
 HERSTAL.CharacterRender = CharacterRender;
+
+// default time in the past at which remote characters are displayed (ms)
+// should cover at least two snapshots
+CharacterRender.INTERPOLATION_DELAY = 100;
+// maximum time we guess the position of a character without news (ms)
+CharacterRender.MAX_EXTRAPOLATION = 250;
+
+/**
+Interpolate between two angles following the shortest path
+@method lerpAngle
+@param {Number} a The starting angle
+@param {Number} b The ending angle
+@param {Number} t Progression within [0, 1]
+@return {Number} The interpolated angle
+*/
+CharacterRender.lerpAngle = function(a, b, t){
+	var diff = (b - a) % Math.PI2;
+	if(diff >  Math.PI) diff -= Math.PI2;
+	if(diff < -Math.PI) diff += Math.PI2;
+	return a + diff * t;
+};
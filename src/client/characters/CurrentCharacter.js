@@ -1,5 +1,7 @@
 /**
 The character of the current player
+Its movement is predicted by running the same code as the server
+and corrected when the server sends the authoritative state
 @class CurrentCharacter
 */
 class CurrentCharacter{
@@ -10,13 +12,169 @@ class CurrentCharacter{
 	@param {Vector3} position The position of the character at start
 	@param {Vector2} orientation The orientation of the camera
 	@param {Object} options Configuration of the character
+	@param {Number} [options.team] The team of the player
+	@param {Number} [options.fps] Number of inputs sent per second
+	@param {Object} [options.map] Position and boxes of the map (see MAP.createBody)
 	*/
 	constructor(id, player, position, orientation, options){
 		options = options || {};
 
 		this.id = id;
 		this.player = player;
-		this.position = position;
+		this.orientation = orientation || { x: 0, y: 0 };
+
+		// inputs pressed by the player
+		this.inputs = null;
+		// team of the flag carried by the character (null if none)
+		this.carriedFlag = null;
+		// the weapons are only simulated by the server
+		this.currentWeapon = null;
+		this.weaponState   = null; // see Weapon.STATES
+		this.isZoomed      = false; // looking through the scope of the weapon
+
+		// the predicted character lives in its own world
+		// with the same physics and the same map as the world of the server
+		this.step  = 1/(options.fps || 60);
+		this.world = HERSTAL.MAP.createWorld();
+		this.map   = null;
+		this.setMap(options.map);
+		// we feed the predicted character with our inputs
+		this.controller = { team: options.team || 0, inputs: null };
+		// the position is given at neck level, Character expects the feet
+		this.character = new HERSTAL.Character(
+			this.controller, null, this.orientation.x, [], { unsetID: true }
+		);
+		if(UTIL.isVector3(position)) this.character.body.position.copy(position);
+		this.world.addBody(this.character.body);
+
+		// sequence number of the last inputs sent
+		this.sequence = 0;
+		// inputs sent but not applied by the server yet
+		this.pending = [];
+	}
+
+	/**
+	Return the predicted position of the character
+	@method get position
+	@return {Vec3} The position in space
+	*/
+	get position(){
+		return this.character.body.position;
+	}
+
+	/**
+	Replace the map the predicted character collides with
+	@method setMap
+	@param {Object} json Position and boxes of the map (null to remove it)
+	*/
+	setMap(json){
+		if(this.map !== null) this.world.removeBody(this.map);
+		this.map = null;
+		if(json == null) return null;
+		// since the data come from the network, we need to be careful
+		try{
+			this.map = HERSTAL.MAP.createBody(json, this.world.defaultMaterial);
+		}catch(e){
+			console.log('Warning: ' + e.message);
+			return null;
+		}
+		this.world.addBody(this.map);
+	}
+
+	/**
+	Generate the object sent to the server from the inputs of the player
+	@method getJSONFromInputs
+	@return {Object} Inputs in the format read by Player.setInputFromJSON
+	*/
+	getJSONFromInputs(){
+		var inputs = this.inputs || {};
+		// we pack the buttons into a bitfield
+		var bits = 0;
+		for(var i=0; i<HERSTAL.Character.INPUT_BITS.length; ++i){
+			if(inputs[HERSTAL.Character.INPUT_BITS[i]]) bits |= 1 << i;
+		}
+		return {
+			orient : {
+				x : this.orientation.x,
+				y : this.orientation.y,
+			},
+			move   : inputs.movement || { x: 0, y: 0 },
+			inputs : bits,
+			weap   : inputs.weapon,
+		};
+	}
+
+	/**
+	Tag the inputs of the player with a sequence number and apply them locally
+	@method predict
+	@return {Object} The inputs to send to the server
+	*/
+	predict(){
+		var json = this.getJSONFromInputs();
+		json.seq = ++this.sequence;
+		// we read the inputs exactly like the server does
+		var inputs = HERSTAL.Character.readInputs(json);
+		this.pending.push(inputs);
+		// we don't keep more inputs than the server does
+		if(this.pending.length > CurrentCharacter.MAX_PENDING_INPUTS){
+			this.pending.shift();
+		}
+		this._simulate(inputs);
+		return json;
+	}
+
+	/**
+	Correct the predicted character with the state sent by the server
+	then replay the inputs the server hasn't applied yet
+	@method reconcile
+	@param {Object} state The authoritative state of the character
+	@param {Number} seq The sequence number of the last inputs applied by the server
+	*/
+	reconcile(state, seq){
+		// we forget the inputs the server already applied
+		while(this.pending.length > 0 && this.pending[0].seq <= seq){
+			this.pending.shift();
+		}
+		// we go back to the state of the server
+		var character = this.character, body = character.body;
+		if(UTIL.isVector3(state.pos)) body.position.copy(state.pos);
+		if(UTIL.isVector3(state.vel)) body.velocity.copy(state.vel);
+		if(typeof state.state === "number"){
+			character.isGrounded  = !!(state.state &  0b1);
+			character.isCrounched = !!(state.state & 0b10);
+			character.isJumping   = !!(state.state & 0b100);
+			this.isZoomed = !!(state.state & 0b100000);
+		}
+		// the body shrinks while crounching
+		if(typeof state.height === "number"){
+			character.setBodyShape({ halfHeight: state.height, offset: -state.height });
+		}
+		if(typeof state.jump === "number") character.jumpTimer = state.jump;
+		if(typeof state.weap === "number") this.currentWeapon = state.weap;
+		if(typeof state.wstate === "number"){
+			// Weapon.NO_STATE when the character holds no weapon
+			this.weaponState = state.wstate !== HERSTAL.Weapon.NO_STATE ?
+				HERSTAL.Weapon.STATES[state.wstate] || null : null;
+		}
+		// and we replay the inputs sent since then
+		for(var i=0; i<this.pending.length; ++i){
+			this._simulate(this.pending[i]);
+		}
+	}
+
+	/**
+	Simulate one tick of the character with the given inputs
+	@method _simulate @private
+	@param {Object} inputs The inputs read by Character.update
+	*/
+	_simulate(inputs){
+		this.controller.inputs = inputs;
+		this.character.update();
+		this.world.step(this.step);
+		this.character.updatePlatformPosition();
 	}
 }
 HERSTAL.CurrentCharacter = CurrentCharacter;
+
+// maximum number of inputs waiting for the server
+CurrentCharacter.MAX_PENDING_INPUTS = 30;
@@ -16,6 +16,11 @@ class CurrentPlayer {
     this.id = id;
     // the character of the player
     this.character = null;
+    // id of the character followed while dead (-1 if none)
+    this.spectating = -1;
+    // ammo of the weapon held (null if the weapon needs none)
+    this.ammo    = null;
+    this.reserve = null; // null if unlimited
 
     this.waitInput = false;
 
@@ -70,7 +75,7 @@ class CurrentPlayer {
         // if the tag begin with weap
         if( tag.substr(0,4) == "weap" ){
           // we just recover the number of the weapon
-          inputs.weapon = tag.substr(4,1);
+          inputs.weapon = parseInt(tag.substr(4,1), 10);
         }else switch(tag){
           // movement inputs
           case "moveF": ++inputs.movement.y; break;
@@ -3,7 +3,7 @@ Class to create a canvas, you should use only one for your web page
 */
 function Canvas( id, resX, resY, worldRender, armsRender ){
 
-	var div = document.body.getElementById(id);
+	var div = document.getElementById(id);
 	if(!div) throw new Error("the given id doesn't match any div of the document");
 
 	// we create the renderer
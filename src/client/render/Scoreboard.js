@@ -0,0 +1,58 @@
+/**
+ * Overlay displaying the statistics of the players over the game
+ * @param {String} id - the id of the element of the document to fill
+ */
+function Scoreboard (id){
+	this.element = document.getElementById(id);
+	if(!this.element) throw new Error("the given id doesn't match any element of the document");
+
+	// the scoreboard is hidden until the player asks for it
+	this.isVisible = false;
+	this.element.style.display = "none";
+}
+Scoreboard.prototype.constructor = HERSTAL.Scoreboard = Scoreboard;
+
+/**
+ * show the scoreboard if hidden, hide it otherwise
+ */
+Scoreboard.prototype.toggle = function(){
+	this.isVisible = !this.isVisible;
+	this.element.style.display = this.isVisible ? "" : "none";
+};
+
+/**
+ * fill the table with the statistics of the players, the best score first
+ * @param {Object} stats - the statistics sorted by player ids
+ */
+Scoreboard.prototype.update = function(stats){
+	var rows = [];
+	for(var id in stats) rows.push(stats[id]);
+	rows.sort(function(a, b){ return b.score - a.score; });
+
+	var html = '<table class="table table-sm">' +
+		'<tr><th>Name</th><th>Team</th><th>Score</th><th>Kills</th>' +
+		'<th>Deaths</th><th>Assists</th><th>Damage</th><th>Ping</th></tr>';
+	for(var j=0; j<rows.length; ++j){
+		var row = rows[j];
+		html += '<tr><td>' + Scoreboard.escape(row.name) + '</td>' +
+			'<td>' + (row.team || '-') + '</td>' +
+			'<td>' + row.score   + '</td>' +
+			'<td>' + row.kills   + '</td>' +
+			'<td>' + row.deaths  + '</td>' +
+			'<td>' + row.assists + '</td>' +
+			'<td>' + row.damage  + '</td>' +
+			'<td>' + row.ping    + '</td></tr>';
+	}
+	this.element.innerHTML = html + '</table>';
+};
+
+/**
+ * names are chosen by the players, they must not be read as html
+ * @param {String} text - the text to display
+ * @return {String} the escaped text
+ */
+Scoreboard.escape = function(text){
+	return String(text).replace(/[&<>"']/g, function(c){
+		return '&#' + c.charCodeAt(0) + ';';
+	});
+};
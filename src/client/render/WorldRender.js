@@ -10,12 +10,18 @@ function WorldRender (world, camera){
 	this.scene = new THREE.Scene();
 
 	this.characterModels = [];
+
+	// visual mesh of the map
+	this.map     = null;
+	this.mapName = null;
 }
 WorldRender.prototype.constructor = HERSTAL.WorldRender = WorldRender;
 
 WorldRender.prototype.addCharacterModel = function( characterModel ){
-	// since we are in a web browser, we can use the method addElement defined in HERSTAL shared
-	// TODO this.characterModels.adElement(characterModel);
+	// we keep track of the model
+	if(this.characterModels.indexOf(characterModel) < 0){
+		this.characterModels.push(characterModel);
+	}
 	// the characterModel shoudl in which world it is
 	characterModel.worldRender = this;
 	// we add the model itself to the scene
@@ -23,10 +29,56 @@ WorldRender.prototype.addCharacterModel = function( characterModel ){
 };
 
 WorldRender.prototype.removeCharacterModel = function( characterModel ){
-	// TODO var index = this.characterModels.removElement( characterModel );
+	var index = this.characterModels.indexOf(characterModel);
 	// if the character was in the array
 	if(index > -1){
+		this.characterModels.splice(index, 1);
 		characterModel.worldRender = null;
 		this.scene.remove(characterModel.mesh);
 	}
 };
+
+/**
+ * Load the visual mesh of the map, replacing the previous one
+ * @param {String} name - the name of the map sent by the server
+ * @param {Function} [callback] - called with the mesh once loaded
+ */
+WorldRender.prototype.loadMap = function( name, callback ){
+	var self = this;
+	this.removeMap();
+	this.mapName = name;
+	var loader = new THREE.JSONLoader();
+	loader.load(WorldRender.getMapPath(name), function( geometry, materials ){
+		// the server may have changed the map while we were loading this one
+		if(self.mapName !== name) return null;
+		var material = materials && materials.length > 0 ?
+			new THREE.MultiMaterial(materials) : new THREE.MeshNormalMaterial();
+		self.map = new THREE.Mesh(geometry, material);
+		self.scene.add(self.map);
+		if(callback) callback(self.map);
+	});
+};
+
+/**
+ * Remove the visual mesh of the map from the scene
+ */
+WorldRender.prototype.removeMap = function(){
+	if(this.map !== null){
+		this.scene.remove(this.map);
+		this.map = null;
+	}
+	this.mapName = null;
+};
+
+/**
+ * Return the address of the visual mesh of the given map
+ * meshes are looked for in HERSTAL.MAPS_ADDRESS if defined
+ * @param {String} name - the name of the map
+ * @return {String} the url of the mesh
+ */
+WorldRender.getMapPath = function( name ){
+	return (HERSTAL.MAPS_ADDRESS || WorldRender.MAPS_ADDRESS) + name + ".json";
+};
+// default directory of the visual meshes of the maps, exported for THREE.JSONLoader
+// maps/<name>.json is the collision map read by the server, not a mesh
+WorldRender.MAPS_ADDRESS = "../../maps/meshes/";
@@ -111,6 +111,8 @@ var CONFIG = HERSTAL.CONFIG = {
 		config.reload = { btn: 82 }; // R
 		config.melee  = { btn: 81 }; // Q
 		config.zoom   = { btn:  1, isMouse: true }; // Mouse Wheel Press
+		// display
+		config.scoreboard = { btn: 9 }; // TAB
 		// weapon selection
 		config.prevWeap = { btn: -1, isMouse: true }; // Mouse Wheel Up
 		config.nextWeap = { btn: -2, isMouse: true }; // Mouse Wheel Down
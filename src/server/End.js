@@ -1,2 +1,30 @@
+// every mode of the rotation must exist
+for(var i=0; i<SERVER.modes.length; ++i){
+	if(HERSTAL.GameMode.modes[SERVER.modes[i].toLowerCase()] == null){
+		throw new Error('"'+SERVER.modes[i]+'" is not a game mode, available modes: ' +
+			Object.keys(HERSTAL.GameMode.modes).join(", "));
+	}
+}
+
+// the weapons must be defined before the characters appear
+SERVER.loadWeapons();
+if(SERVER.isDev) SERVER.watchWeapons();
+
+// the loop simulates the world of the current match at a fixed rate
+var LOOP = HERSTAL.loop = new HERSTAL.GameLoop(null, { fps: SERVER.fps });
+// we create the world of the first match
+SERVER.startMatch();
+// inputs of the players are applied at the start of the ticks
+LOOP.addHook(HERSTAL.GameLoop.PRE_INPUT, HERSTAL.Player.updateInputs);
+// dead players get a new character when their respawn time has come
+LOOP.addHook(HERSTAL.GameLoop.PRE_INPUT, HERSTAL.Player.updateSpawns);
+// the rules of the match are checked once the positions are final
+LOOP.addHook(HERSTAL.GameLoop.POST_PHYSICS, SERVER.updateMatch);
+// states are sent to the clients at the end of the ticks
+LOOP.addHook(HERSTAL.GameLoop.BROADCAST, NETWORK.broadcast);
+// and the scoreboard follows at its own rate
+LOOP.addHook(HERSTAL.GameLoop.BROADCAST, SCOREBOARD.broadcast);
+LOOP.start();
+
 // Announce the Server is Ready
 console.log('Server Ready !');
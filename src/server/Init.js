@@ -6,6 +6,9 @@ console.log('Server Starting...');
 // there is no need in using a minified file for the server
 // but the files needs to be in the same directory
 var HTTP     = require('http');
+var FS       = require('fs');
+var PATH     = require('path');
+var EVENTS   = require('events');
 var SOCKETIO = require('socket.io');
 var CANNON   = require('cannon');
 var PATROL   = require('patroljs');
@@ -14,3 +17,14 @@ if(!HTTP)     throw new Error('herstal needs http to manage requests');
 if(!SOCKETIO) throw new Error('herstal needs socketio to work');
 if(!CANNON)   throw new Error('herstal needs CANNON.js to work');
 if(!PATROL)   throw new Error('AI in herstal needs PatrolJS to work');
+
+// the simulation code is shared with the clients
+var HERSTAL  = require('./herstal.shared.js');
+if(!HERSTAL)  throw new Error('herstal needs herstal.shared.js to work');
+
+// we recover the namespaces defined by the shared code
+var UTIL      = HERSTAL.UTIL,
+    TEAM      = HERSTAL.TEAM,
+    COLLISION = HERSTAL.COLLISION,
+    MAP       = HERSTAL.MAP,
+    PROTOCOL  = HERSTAL.PROTOCOL;
@@ -5,13 +5,35 @@ node herstal.server.js -name "MyServer" -port 8080 -max 16
 
 // we recover the args for the app
 var ARGUMENTS = require('minimist')(process.argv.slice(2)),
-	help = '\nWelcome in Herstal.js, here is a list of parameter you could use:\n'
-		+' -name  : specify the name of the server\n'
-		+' -port  : specify the port number of the server\n'
-		+' -max   : specify the maximum number of player who can join the server\n'
-		+' -maps  : specify the maps rotation (format: "map1;map2;map3")\n'
-		+' -modes : specify the game modes rotation (format: "mode1;mode2;mode3")\n'
-		+'each times a new game start the next map will be loaded and the next mode will be selected\n'
+	help = '\nWelcome in Herstal.js, here is a list of parameter you could use:\n' +
+		' -name  : specify the name of the server\n' +
+		' -port  : specify the port number of the server\n' +
+		' -max   : specify the maximum number of player who can join the server\n' +
+		' -maps  : specify the maps rotation (format: "map1;map2;map3")\n' +
+		' -modes : specify the game modes rotation (format: "mode1;mode2;mode3")\n' +
+		' -netrate : specify the number of states sent to the clients per second\n' +
+		' -json  : send the states as JSON rather than binary (for debugging)\n' +
+		' -rewind : specify how far back hitscans are compensated in ms\n' +
+		' -mapdir : specify the directory containing the map files (default: "maps")\n' +
+		' -respawn : specify the time before dead players respawn in seconds\n' +
+		' -fraglimit : specify the frags needed to win a deathmatch (0 for no limit)\n' +
+		' -timelimit : specify the duration of a match in minutes (0 for no limit)\n' +
+		' -teams : specify the number of teams in team modes (2 to 4)\n' +
+		' -balance : rebalance the teams at the start of each match\n' +
+		' -capturelimit : specify the captures needed to win a capture the flag (0 for no limit)\n' +
+		' -flagreturn : specify the time before a dropped flag returns to its base in seconds\n' +
+		' -scorelimit : specify the points needed to win a king of the hill (0 for no limit)\n' +
+		' -capturetime : specify the time needed to capture a zone in seconds\n' +
+		' -zonetime : specify the time before the active zone moves in seconds (0 for all zones)\n' +
+		' -bestof : specify the maximum number of rounds of an elimination match\n' +
+		' -roundtime : specify the duration of a round in seconds\n' +
+		' -warmup : specify the duration of the warmup before each round in seconds\n' +
+		' -friendlyfire : specify the damage between teammates (off, on, reduced, reflect)\n' +
+		' -ffratio : specify the part of the damage dealt to teammates in reduced mode (0 to 1)\n' +
+		' -selfdamage : specify the part of the damage dealt to oneself (0 to disable)\n' +
+		' -weapons : specify the file defining the weapons (default: the weapons.json of herstal)\n' +
+		' -dev : reload the weapons when their file changes (for development)\n' +
+		'each times a new game start the next map will be loaded and the next mode will be selected\n'
 ;
 
 // we need to be able to read parameters to make the server work
@@ -28,10 +50,10 @@ if(ARGUMENTS.help != null){
 
 // if maps or game modes are not set
 if(typeof ARGUMENTS.maps  !== "string") ARGUMENTS.maps  = "base";
-if(typeof ARGUMENTS.modes === "string") ARGUMENTS.modes = "default";
+if(typeof ARGUMENTS.modes !== "string") ARGUMENTS.modes = "default";
 
-// we create our module
-module.exports = HERSTAL = {};
+// our module extends the shared code
+module.exports = HERSTAL;
 
 // configuration of the server
 /**
@@ -40,13 +62,206 @@ Manage the state of the server
 */
 var SERVER = {
 	fps:   60,                          // frame per second
+	netRate: ARGUMENTS.netrate > 0 ? ARGUMENTS.netrate : 20, // states per second
+	protocol: ARGUMENTS.json != null ? "json" : "binary", // encoding of the states
+	maxRewind: ARGUMENTS.rewind >= 0 ? ARGUMENTS.rewind : 200, // lag compensation in ms
+	respawnDelay: ARGUMENTS.respawn >= 0 ? ARGUMENTS.respawn : 3, // in seconds
 	name:  ARGUMENTS.name || "unnamed", // name of server
 	port:  ARGUMENTS.port || 4040,      // server port
 	maps:  ARGUMENTS.maps .split(";"),  // list of maps
+	mapDir: typeof ARGUMENTS.mapdir === "string" ? ARGUMENTS.mapdir : "maps", // where maps are
 	modes: ARGUMENTS.modes.split(";"),  // list of game modes
+	// file defining the weapons of the game, by default the catalogue next to the build directory
+	weaponFile: typeof ARGUMENTS.weapons === "string" ? ARGUMENTS.weapons :
+		PATH.join(__dirname, "..", "weapons.json"),
+	isDev: ARGUMENTS.dev != null, // development mode
 };
+// configuration given to the game modes
+SERVER.modeOptions = {
+	fragLimit: ARGUMENTS.fraglimit,
+	timeLimit: ARGUMENTS.timelimit,
+	teams:     ARGUMENTS.teams,
+	balance:   ARGUMENTS.balance != null,
+	captureLimit: ARGUMENTS.capturelimit,
+	flagReturn:   ARGUMENTS.flagreturn,
+	scoreLimit:   ARGUMENTS.scorelimit,
+	captureTime:  ARGUMENTS.capturetime,
+	zoneTime:     ARGUMENTS.zonetime,
+	bestOf:       ARGUMENTS.bestof,
+	roundTime:    ARGUMENTS.roundtime,
+	warmupTime:   ARGUMENTS.warmup,
+};
+// damage between teammates, the weapons read it when they are created
+var FRIENDLY_FIRE = HERSTAL.TEAM.friendlyFire;
+if(HERSTAL.TEAM.FRIENDLY_FIRE.indexOf(ARGUMENTS.friendlyfire) > -1){
+	FRIENDLY_FIRE.mode = ARGUMENTS.friendlyfire;
+}else if(ARGUMENTS.friendlyfire != null){
+	throw new Error('"'+ARGUMENTS.friendlyfire+'" is not a friendly fire policy, available policies: ' +
+		HERSTAL.TEAM.FRIENDLY_FIRE.join(", "));
+}
+if(ARGUMENTS.ffratio >= 0) FRIENDLY_FIRE.ratio = Math.min(1, ARGUMENTS.ffratio);
+if(ARGUMENTS.selfdamage >= 0) FRIENDLY_FIRE.self = ARGUMENTS.selfdamage;
 SERVER.currentMap  = SERVER.maps [0];
 SERVER.currentMode = SERVER.modes[0];
+// index of the current match in the rotation
+SERVER.rotation = 0;
+
+/**
+Load the catalogue of the weapons from the weapon file
+@method loadWeapons
+@return {Boolean} True if the catalogue changed
+*/
+SERVER.loadWeapons = function(){
+	var text;
+	try{
+		text = FS.readFileSync(SERVER.weaponFile, "utf8");
+	}catch(e){
+		throw new Error('cannot load the weapons from '+SERVER.weaponFile+': '+e.message);
+	}
+	// the file may be saved without any change
+	if(text === SERVER._weaponText) return false;
+	var json;
+	try{
+		json = JSON.parse(text);
+	}catch(e){
+		throw new Error('the weapon file '+SERVER.weaponFile+' is not valid JSON: '+e.message);
+	}
+	try{
+		HERSTAL.ARMORY.setDefinitions(json);
+	}catch(e){
+		throw new Error('invalid weapon file '+SERVER.weaponFile+', '+e.message);
+	}
+	SERVER._weaponText = text;
+	return true;
+};
+
+/**
+Reload the weapons each time their file changes and send them to the clients
+the characters get the new weapons when they respawn
+@method watchWeapons
+*/
+SERVER.watchWeapons = function(){
+	var path = PATH.resolve(SERVER.weaponFile),
+	    name = PATH.basename(path),
+	    timer = null;
+	// editors often save by writing another file and renaming it,
+	// a watcher on the file itself would stop after the first save
+	FS.watch(PATH.dirname(path), function(type, filename){
+		// some platforms don't tell which file changed
+		if(filename != null && String(filename) !== name) return null;
+		// a single save fires several events, we wait for the last one
+		clearTimeout(timer);
+		timer = setTimeout(SERVER.reloadWeapons, SERVER.WATCH_DELAY);
+	});
+};
+// time to wait for the file to be fully saved before reloading it (ms)
+SERVER.WATCH_DELAY = 100;
+
+/**
+Reload the weapons and send them to the clients, keep the last valid ones on error
+@method reloadWeapons
+*/
+SERVER.reloadWeapons = function(){
+	try{
+		if(!SERVER.loadWeapons()) return null;
+	}catch(e){
+		// we keep the last valid catalogue
+		console.log('Warning: ' + e.message);
+		return null;
+	}
+	console.log('Weapons reloaded from ' + SERVER.weaponFile);
+	IO.sockets.emit('weapons', HERSTAL.ARMORY.getDefinitions());
+};
+
+/**
+Load a map in the world and tell the clients to display it
+the clients also need its boxes to predict the movement of their character
+@method loadMap
+@param {String} name The name of the map
+*/
+SERVER.loadMap = function(name){
+	HERSTAL.world.loadMap(name);
+	SERVER.currentMap = name;
+	IO.sockets.emit('map', { name: name, collision: HERSTAL.world.collision });
+};
+
+/**
+Start the match of the current map and mode of the rotation
+Each match takes place in a new world
+@method startMatch
+*/
+SERVER.startMatch = function(){
+	var index = SERVER.rotation;
+	SERVER.currentMap  = SERVER.maps [index % SERVER.maps .length];
+	SERVER.currentMode = SERVER.modes[index % SERVER.modes.length];
+
+	var previous = HERSTAL.world || null;
+	var world = HERSTAL.world = new HERSTAL.World(SERVER.currentMap);
+	// ticks keep going so the clients can still use their last snapshot as base
+	if(previous !== null) world.tick = previous.tick;
+	if(HERSTAL.loop) HERSTAL.loop.world = world;
+	world.on('damage', SERVER.onDamage);
+	HERSTAL.SCOREBOARD.listen(world);
+	try{
+		SERVER.loadMap(SERVER.currentMap);
+	}catch(e){
+		// the server can still run, but characters will fall forever
+		console.log('Warning: ' + e.message);
+	}
+
+	// the players start the match with a new character
+	var players = HERSTAL.Player.players;
+	HERSTAL.SCOREBOARD.reset(players);
+	for(var i=0; i<players.length; ++i){
+		players[i].controllable = null;
+		players[i].respawnTick  = 0;
+	}
+
+	var mode = HERSTAL.mode = HERSTAL.GameMode.create(
+		SERVER.currentMode, world, SERVER.modeOptions);
+	IO.sockets.emit('mode', { name: SERVER.currentMode });
+	mode.start(players);
+};
+
+/**
+Tell the attacker it hit someone so its client can display a hit marker
+@method onDamage
+@param {DamageEvent} event The damage dealt
+*/
+SERVER.onDamage = function(event){
+	var attacker = event.attacker;
+	// hurting oneself doesn't need a marker
+	if(attacker == null || event.victim === event.inflictor) return null;
+	HERSTAL.NETWORK.emitTo(attacker, 'hit', {
+		victim: event.victim.id,
+		damage: Math.round(event.dealt),
+		zone:   event.zone, // null for splash damage
+		fatal:  event.isFatal,
+	});
+};
+
+/**
+Start the next match of the rotation
+@method nextMatch
+*/
+SERVER.nextMatch = function(){
+	SERVER.rotation = (SERVER.rotation + 1) % (SERVER.maps.length * SERVER.modes.length);
+	SERVER.startMatch();
+};
+
+/**
+Update the rules of the current match and switch to the next one when it is over
+to use as a postPhysics hook of the GameLoop
+@method updateMatch
+@param {World} world The world of the match
+@param {Number} tick The current tick of the world
+*/
+SERVER.updateMatch = function(world, tick){
+	var mode = HERSTAL.mode;
+	if(mode == null) return null;
+	mode.update(tick);
+	if(mode.isOver(tick)) SERVER.nextMatch();
+};
 
 
 // we create the server
@@ -60,49 +275,80 @@ var IO = SOCKETIO.listen(server);
 // when a client connect
 IO.sockets.on('connection', function(socket){
 
-	// allow us to know if the client should be ejected
-	var ejectClient = false;
-
 	// we recover the configuration of the player
 	socket.on('new_player', function(data){
 		// since the data come from a client, we need to be careful
-		if(typeof data === "object" && data !== null){
+		// a client can only join once
+		if(typeof data === "object" && data !== null && socket.player == null){
 			// we create a new player to store in the list
 			var player = HERSTAL.Player.addPlayer(data);
-			// we store the player in the socket
+			// if player creation succeeded
 			if(player !== null){
+				// we store the player in the socket
 				socket.player = player;
-			}else{ // if player creation failed
-				socket.disconnect(true); // close connection
-				ejectClient = true; // we eject the client
+				// the player will now recieve the states of the world
+				HERSTAL.NETWORK.addClient(socket);
+				// the rules of the match apply to the new player
+				if(HERSTAL.mode) HERSTAL.mode.onPlayerJoin(player);
+				// we send the data necessary to init the game client side
+				socket.emit('init_game', {
+					id:      player.id,      // we return the id of the player
+					fps:     SERVER.fps,     // we send the update rate to the client
+					netRate: SERVER.netRate, // number of states sent per second
+					protocol: SERVER.protocol, // encoding of the states
+					version:  HERSTAL.PROTOCOL.VERSION, // version of the binary encoding
+					name:    SERVER.name,    // name of the server
+					map:     SERVER.currentMap,  // the current map name
+					// boxes of the current map (null if it could not be loaded)
+					collision: HERSTAL.world ? HERSTAL.world.collision : null,
+					mode:    SERVER.currentMode, // the current game mode name
+					// list of players (id name model color)
+					players: HERSTAL.Player.getListInfo(),
+					// statistics of the players
+					scoreboard: HERSTAL.Player.getScoreboard(),
+					// catalogue of the weapons
+					weapons: HERSTAL.ARMORY.getDefinitions(),
+				});
+				return null;
 			}
-		}else ejectClient = true; // eject the client
-	});
-
-	// if the client needs to be ejected
-	if(ejectClient) return null;
-
-	// we send the data necessary to init the game client side
-	socket.emit('init_game', {
-		id:      socket.player.id, // we return the id of the player
-		fps:     SERVER.fps,  // we send the update rate to the client
-		name:    SERVER.name, // name of the server
-		map:     SERVER.map,  // the current map name
-		mode:    SERVER.mode, // the current game mode name
-		// list of players (id name model color)
-		players: HERSTAL.Player.getListInfo(),
+		}
+		socket.disconnect(true); // close connection, we eject the client
 	});
 
 	socket.on('inputs', function(inputs){
-		// if the player has a character
-		var character = socket.player.character;
-		if(character !== null){
+		// if the client has joined the game
+		if(socket.player != null){
+			// clients can send binary inputs even in json mode
+			if(HERSTAL.PROTOCOL.isBinary(inputs)){
+				try{
+					inputs = HERSTAL.PROTOCOL.decodeInputs(inputs);
+				}catch(e){
+					return null; // we ignore malformed messages
+				}
+			}
 			// we set it's inputs
-			character.setInputFromJSON(inputs);
+			socket.player.setInputFromJSON(inputs);
+		}
+	});
+
+	socket.on('team', function(data){
+		// the game mode decides if the player can switch
+		if(socket.player != null && HERSTAL.mode && typeof data === "object" &&
+			data !== null && Number.isSafeInteger(data.team)){
+			HERSTAL.mode.onTeamRequest(socket.player, data.team);
+		}
+	});
+
+	socket.on('disconnect', function(){
+		// we stop sending states to the client
+		HERSTAL.NETWORK.removeClient(socket);
+		// the player and its character leave the game
+		if(socket.player != null && HERSTAL.Player.removePlayer(socket.player)){
+			if(HERSTAL.mode) HERSTAL.mode.onPlayerLeave(socket.player);
 		}
 	});
 
 });
 
 // server will listen to request sent on the given port
-server.listen(CONFIG.port);
+server.listen(SERVER.port);
@@ -21,6 +21,10 @@ class Mecha extends HERSTAL.Character{
 		}
 
 		this.pilot = null; // the character piloting the mecha
+
+		// the upper part of the mecha protects the pilot
+		this.body.shapes[0].hitZone = Mecha.HULL;
+		this.body.shapes[1].hitZone = Mecha.COCKPIT;
 	}
 
 	/**
@@ -36,13 +40,33 @@ class Mecha extends HERSTAL.Character{
 		if(this.isDead) this.ejectPilot();
 	}
 
-	addDamage(damage){
-		var mechaDamage = damage * Mecha.PROTECTION;
-		damage -= mechaDamage; // we define damage taken by the pilot
-		super.addDamage(mechaDamage);
+	/**
+	Read the state of the mecha, same as a character with a pilot
+	@method getJSONFromState
+	@return {Object} State of the mecha
+	*/
+	getJSONFromState(){
+		var json = super.getJSONFromState();
+		// id of the pilot (-1 if null)
+		json.pilot = this.pilot !== null ? this.pilot.id : -1;
+		return json;
+	}
+
+	/**
+	Share the damage between the mecha and its pilot
+	@method addDamage
+	@param {Number|DamageEvent} event The damage to deal
+	*/
+	addDamage(event){
+		event = HERSTAL.DamageEvent.from(event);
+		// the multiplier applies before the damage is shared
+		this.applyHitZone(event);
+		var mechaDamage = event.amount * Mecha.PROTECTION;
+		var damage = event.amount - mechaDamage; // we define damage taken by the pilot
+		super.addDamage(event.copy(mechaDamage));
 		// if the mecha has a pilot
 		if(this.pilot !== null){
-			this.pilot.addDamage(damage);
+			this.pilot.addDamage(event.copy(damage));
 		}
 	}
 
@@ -79,3 +103,12 @@ HERSTAL.Mecha = Mecha;
 Mecha.idCounter = 0;
 
 Mecha.PROTECTION = 9/10; // number of damage taken by the vehicule
+
+// hit zones of the shapes of the mecha
+Mecha.HULL    = "hull";
+Mecha.COCKPIT = "cockpit";
+// default multipliers of the damage of direct hits sorted by hit zones
+Mecha.DAMAGE_MULTIPLIERS = {
+	hull:    1,
+	cockpit: 1.5,
+};
@@ -35,13 +35,35 @@ class Vehicule extends HERSTAL.Controllable{
 		if(this.isDestroyed) this.ejectPilot();
 	}
 
-	addDamage(damage){
-		var vehiculeDamage = damage * Vehicule.PROTECTION;
-		damage -= vehiculeDamage; // we define damage taken by the pilot
-		super.addDamage(vehiculeDamage);
+	/**
+	Read the state of the vehicule
+	@method getJSONFromState
+	@return {Object} State of the vehicule
+	*/
+	getJSONFromState(){
+		var state = 0;
+		if(this.isDestroyed) state |= 0b1;
+
+		return {
+			// id of the pilot (-1 if null)
+			pilot : this.pilot !== null ? this.pilot.id : -1,
+			state : state,
+		};
+	}
+
+	/**
+	Share the damage between the vehicule and its pilot
+	@method addDamage
+	@param {Number|DamageEvent} event The damage to deal
+	*/
+	addDamage(event){
+		event = HERSTAL.DamageEvent.from(event);
+		var vehiculeDamage = event.amount * Vehicule.PROTECTION;
+		var damage = event.amount - vehiculeDamage; // we define damage taken by the pilot
+		super.addDamage(event.copy(vehiculeDamage));
 		// if the mecha has a pilot
 		if(this.pilot !== null){
-			this.pilot.addDamage(damage);
+			this.pilot.addDamage(event.copy(damage));
 		}
 	}
 
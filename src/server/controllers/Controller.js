@@ -5,14 +5,21 @@ Abstract class to control a controllable
 class Controller{
 	/**
 	@constructor
-	@param {World} world The world of the controller
+	@param {Number} team The team of the controller
 	*/
 	constructor(team){
 		// we set the team of the controller (default is none)
-		this.team = typeof options.team === "number" ? options.team : 0;
+		this.team = typeof team === "number" ? team : 0;
 		this.inputs = null;
 		this.controllable = null;
 		this.world = null;
 	}
+
+	/**
+	Called when the controllable of the controller dies
+	@method onDeath
+	@param {Controllable} controllable The controllable which died
+	*/
+	onDeath(controllable){}
 }
 HERSTAL.Controller = Controller;
@@ -31,9 +31,31 @@ class Player extends HERSTAL.Controller{
 
 		// does the character switch of weapon on pickup
 		this.weaponAutoSwitch = !!options.weaponAutoSwitch;
+
+		// tick of the last snapshot the client recieved (-1 if none)
+		this.ack = -1;
+
+		// inputs recieved but not applied yet
+		this.inputQueue = [];
+		// sequence number of the last inputs applied (-1 if none)
+		this.sequence = -1;
+
+		// tick at which the player gets a new character (-1 if not planned)
+		// a new player spawns as soon as possible
+		this.respawnTick = 0;
+		// character followed by the player while it has none (null if none)
+		this.spectating = null;
+
+		// statistics of the match shown in the scoreboard
+		this.stats = null;
+		this.resetStats();
+		// round trip time estimated from the snapshots acknowledged (ms)
+		this.ping = 0;
 	}
 	/**
 	Store all of the inputs set over JSON
+	Inputs with a sequence number are queued and applied one per tick
+	so the client can predict the movement of its character
 	@method setFromInput
 	@param {Object} [inputs]   Inputs loaded from JSON
 	@param {Vec2}   [inputs.orient] Orientation of the character
@@ -48,31 +70,42 @@ class Player extends HERSTAL.Controller{
 		[6] melee
 		[7] zoom
 	@param {Number} inputs.weap Weapon selection
+	@param {Number} [inputs.ack] Tick of the last snapshot recieved by the client
+	@param {Number} [inputs.seq] Sequence number of the inputs
 	*/
 	setInputFromJSON(inputs){
 		// if inputs is empty, there is nothing to do
-		if(typeof inputs !== "object") return null;
-		this.inputs = {};
+		if(typeof inputs !== "object" || inputs === null) return null;
 
-		if(UTIL.isVector2(inputs.orient)){
-			this.inputs.orientation = inputs.orient;
+		// the client acknowledges the snapshots it recieved
+		if(Number.isSafeInteger(inputs.ack)){
+			if(inputs.ack > this.ack) this._updatePing(inputs.ack);
+			this.ack = inputs.ack;
 		}
-		if(UTIL.isVector2(inputs.move)){
-			this.inputs.movement = inputs.move;
-		}
-		if(typeof inputs.inputs === "number"){
-			var i = inputs.inputs;
-			this.inputs.jump    = !!(i &        0b1);
-			this.inputs.crounch = !!(i &       0b10);
-			this.inputs.fire1   = !!(i &      0b100);
-			this.inputs.fire2   = !!(i &     0b1000);
-			this.inputs.use     = !!(i &    0b10000);
-			this.inputs.reload  = !!(i &   0b100000);
-			this.inputs.melee   = !!(i &  0b1000000);
-			this.inputs.zoom    = !!(i & 0b10000000);
+
+		inputs = HERSTAL.Character.readInputs(inputs);
+		// inputs without sequence number are applied right away
+		if(inputs.seq == null){
+			this.inputs = inputs;
+		// inputs older than the ones already applied are ignored
+		}else if(inputs.seq > this.sequence){
+			this.inputQueue.push(inputs);
+			// a client cannot flood the server with inputs
+			if(this.inputQueue.length > Player.MAX_QUEUED_INPUTS){
+				this.inputQueue.shift();
+			}
 		}
-		if(typeof inputs.weap === "number"){
-			this.inputs.weapon = inputs.weap;
+	}
+	/**
+	Apply the next inputs of the queue, if the queue is empty
+	the last inputs are kept (the player is still pressing the same buttons)
+	@method nextInputs
+	*/
+	nextInputs(){
+		if(this.inputQueue.length > 0){
+			this.inputs = this.inputQueue.shift();
+			// the sequence number is sent back to the client
+			this.sequence = this.inputs.seq;
 		}
 	}
 	/**
@@ -82,12 +115,98 @@ class Player extends HERSTAL.Controller{
 	@return {Character} The character to add to the map
 	*/
 	createCharacter(position, orientation){
-		this.controllable = new Character(this, position, orientation, {
+		this.controllable = new HERSTAL.Character(this, position, orientation, [], {
 			team: this.team,
 		});
+		// the character gets every weapon of the catalogue
+		var weapons = this.controllable.weapons = HERSTAL.ARMORY.createAll(this.controllable);
+		this.controllable.currentWeapon = weapons.length > 0 ? 0 : null;
 		// we return the character
 		return this.controllable;
 	}
+	/**
+	Create a character for the player at a spawn point of the world
+	@method spawn
+	@param {World} world The world in which the player appears
+	@return {Character} The new character of the player
+	*/
+	spawn(world){
+		var spawn = world.getSpawn(this.team);
+		// the character moves its position to the neck level, we give it a copy
+		var character = this.createCharacter(spawn.position.clone(), spawn.orientation);
+		world.addCharacter(character);
+		this.world = world;
+		this.respawnTick = -1;
+		this.spectating  = null;
+		return character;
+	}
+	/**
+	Take the character away from the player without killing it
+	the player respawns after the usual delay (after a team switch for example)
+	@method removeCharacter
+	*/
+	removeCharacter(){
+		var character = this.controllable;
+		if(character === null) return null;
+		if(character.world !== null) character.world.removeCharacter(character);
+		this.controllable = null;
+		this.onDeath(character);
+	}
+	/**
+	Start the statistics of a new match
+	@method resetStats
+	*/
+	resetStats(){
+		this.stats = {
+			kills:   0,
+			deaths:  0,
+			assists: 0,
+			damage:  0, // damage dealt to the other players
+			score:   0, // defined by the game mode
+		};
+	}
+	/**
+	@method getScoreInfo
+	@return {Object} The line of the player in the scoreboard
+	*/
+	getScoreInfo(){
+		return {
+			id:      this.id,
+			name:    this.name,
+			team:    this.team,
+			kills:   this.stats.kills,
+			deaths:  this.stats.deaths,
+			assists: this.stats.assists,
+			damage:  Math.round(this.stats.damage),
+			score:   this.stats.score,
+			ping:    Math.round(this.ping),
+		};
+	}
+	/**
+	The snapshot acknowledged left the server a while ago,
+	the delay is smoothed since the snapshots are not sent every tick
+	It is measured with the first inputs acknowledging the snapshot,
+	which the client sends up to one tick after recieving it,
+	so the ping is an upper bound of the round trip time
+	@method _updatePing @private
+	@param {Number} ack The tick of the snapshot acknowledged
+	*/
+	_updatePing(ack){
+		var world = HERSTAL.world;
+		if(world == null || ack > world.tick) return null;
+		var ping = (world.tick - ack) * 1000 / SERVER.fps;
+		this.ping += (ping - this.ping) * Player.PING_SMOOTHING;
+	}
+	/**
+	Plan the respawn of the player when its character dies
+	@method onDeath
+	@param {Controllable} controllable The character which died
+	*/
+	onDeath(controllable){
+		var world = controllable.world || this.world;
+		var tick  = world !== null ? world.tick : 0;
+		this.respawnTick = tick + Math.round(SERVER.respawnDelay * SERVER.fps);
+	}
 }
 HERSTAL.Player = Player;
 
@@ -97,6 +216,12 @@ Player.maxPlayers = ARGUMENTS.max > 0 ? ARGUMENTS.max : 8;
 // keep track of the last id to use
 Player.idCounter = 0;
 
+// maximum number of inputs waiting to be applied
+Player.MAX_QUEUED_INPUTS = 30;
+
+// how fast the estimated ping follows the new measures
+Player.PING_SMOOTHING = 0.2;
+
 // list of the player of the game
 Player.players = [];
 
@@ -111,7 +236,7 @@ Player.addPlayer = function(data){
 	// as long as the number of players connected is smaller than the limit
 	if(this.players.length < this.maxPlayers){
 		// we create a new player
-		var player = new HERSTAL.Player({
+		var player = new HERSTAL.Player(0, {
 			name:  data.name,  // name of the player
 			model: data.model, // model to use for the player (number|string)
 			colorPlayer: data.color1, // color of the player
@@ -126,6 +251,25 @@ Player.addPlayer = function(data){
 	return null;
 };
 
+/**
+Remove a player from the list, its character leaves the world
+@method removePlayer
+@param {Player} player The player to remove
+@return {Boolean} True if the player was in the list
+*/
+Player.removePlayer = function(player){
+	var index = this.players.indexOf(player);
+	if(index < 0) return false;
+	this.players.splice(index, 1);
+	var character = player.controllable;
+	if(character !== null && character.world !== null){
+		character.world.removeCharacter(character);
+	}
+	player.controllable = null;
+	player.respawnTick  = -1;
+	return true;
+};
+
 /**
 Get a player based on his id
 */
@@ -138,6 +282,35 @@ Player.getPlayer = function(id){
 	return null; // player not found
 };
 
+/**
+Apply the next inputs of each player
+to use as a preInput hook of the GameLoop
+@method updateInputs
+*/
+Player.updateInputs = function(){
+	for(var i=0; i<Player.players.length; ++i){
+		Player.players[i].nextInputs();
+	}
+};
+
+/**
+Give a new character to the players whose respawn time has come
+if the rules of the match allow it, to use as a preInput hook of the GameLoop
+@method updateSpawns
+@param {World} world The world in which players spawn
+@param {Number} tick The current tick of the world
+*/
+Player.updateSpawns = function(world, tick){
+	for(var i=0; i<Player.players.length; ++i){
+		var player = Player.players[i];
+		if(player.controllable === null && player.respawnTick > -1 &&
+			player.respawnTick <= tick &&
+			(HERSTAL.mode == null || HERSTAL.mode.canRespawn(player))){
+			player.spawn(world);
+		}
+	}
+};
+
 /**
 Get a list of the players with their data
 */
@@ -146,7 +319,7 @@ Player.getListInfo = function(){
 	for(var i=0; i<this.players.length; ++i){
 		var player = this.players[i];
 		// we recover the id of the character attached to the player (-1 if null)
-		var character = player.character !== null ? player.character.id : -1;
+		var character = player.controllable !== null ? player.controllable.id : -1;
 		list[list.length] = {
 			id:     player.id,
 			name:   player.name,
@@ -159,3 +332,16 @@ Player.getListInfo = function(){
 	}
 	return list;
 };
+
+/**
+Get the statistics of the players for the scoreboard
+@method getScoreboard
+@return {Array} List of {id, name, team, kills, deaths, assists, damage, score, ping}
+*/
+Player.getScoreboard = function(){
+	var list = [];
+	for(var i=0; i<this.players.length; ++i){
+		list[list.length] = this.players[i].getScoreInfo();
+	}
+	return list;
+};
@@ -0,0 +1,152 @@
+/**
+Each team defends its flag and tries to bring the flags of the other teams
+to its own base, a capture only counts if the flag of the team is at home
+@class CaptureTheFlag @extends TeamDeathmatch
+*/
+class CaptureTheFlag extends HERSTAL.TeamDeathmatch {
+	/**
+	@constructor
+	@param {World} world The world in which the match takes place
+	@param {Object} [options] Configuration of the mode
+	@param {Number} [options.captureLimit] Captures a team needs to win (0 for no limit)
+	@param {Number} [options.timeLimit] Duration of the match in minutes (0 for no limit)
+	@param {Number} [options.flagReturn] Time before a dropped flag returns to its base (s)
+	@param {Number} [options.teams] Number of teams
+	@param {Boolean} [options.balance] Rebalance the teams when the match starts
+	*/
+	constructor(world, options){
+		options = options || {};
+		super(world, options);
+
+		// only captures count for the teams
+		this.teamFrags = false;
+		this.captureLimit = options.captureLimit >= 0 ?
+			options.captureLimit : CaptureTheFlag.CAPTURE_LIMIT;
+
+		// flags of the teams
+		this.flags = [];
+
+		// the flags tell the world what happens to them
+		this._onFlag = (type, flag, character) => {
+			if(this.isRunning) this.onFlag(type, flag, character);
+		};
+	}
+
+	/**
+	Place the flags of the teams on their bases
+	@method onStart
+	*/
+	onStart(){
+		super.onStart();
+		var bases = this.world.flagBases;
+		for(var i=0; i<bases.length; ++i){
+			// the map can have more teams than the match
+			if(!this.teams.isValid(bases[i].team)) continue;
+			var flag = new HERSTAL.Flag(bases[i].team, bases[i].position, {
+				returnDelay: this.options.flagReturn,
+			});
+			this.world.addFlag(flag);
+			this.flags.push(flag);
+		}
+		this.world.on('flag', this._onFlag);
+	}
+
+	/**
+	Check which characters are touching the flags
+	@method onTick
+	@param {Number} tick The current tick of the world
+	*/
+	onTick(tick){
+		super.onTick(tick);
+		var characters = this.world.characters;
+		for(var i=0; i<this.flags.length; ++i){
+			var flag = this.flags[i];
+			for(var j=0; j<characters.length; ++j){
+				var character = characters[j];
+				if(character.isDead || this._getPlayer(character) === null) continue;
+				if(!flag.touches(character)) continue;
+
+				if(character.team === flag.team){
+					// a dropped flag is returned by touching it
+					if(!flag.isHome && flag.carrier === null){
+						flag.returnHome(character);
+					// an enemy flag brought home is captured
+					}else if(flag.isHome){
+						var carried = this.getCarriedFlag(character);
+						if(carried !== null) carried.capture();
+					}
+				// a character can only carry one flag at once
+				}else if(flag.carrier === null && this.getCarriedFlag(character) === null){
+					flag.pickUp(character);
+				}
+			}
+		}
+	}
+
+	/**
+	Score the captures and tell the clients what happens to the flags
+	@method onFlag
+	@param {String} type The event (pickup, drop, return, capture)
+	@param {Flag} flag The flag
+	@param {Character} character The character involved (null if none)
+	*/
+	onFlag(type, flag, character){
+		var player = this._getPlayer(character);
+		if(type === "capture" && character !== null){
+			this.teams.addScore(character.team, 1);
+			this._sendTeams();
+		}
+		HERSTAL.NETWORK.emitAll('flag', {
+			type:   type,
+			team:   flag.team,
+			player: player !== null ? player.id : -1,
+		});
+	}
+
+	/**
+	@method onEnd
+	@param {Object} result The result of the match
+	*/
+	onEnd(result){
+		this.world.removeListener('flag', this._onFlag);
+		super.onEnd(result);
+	}
+
+	/**
+	@method checkWinCondition
+	@return {Object} The final ranking once a limit is hit, null otherwise
+	*/
+	checkWinCondition(){
+		var isOver = this.timeLimit > 0 && this.getTime() >= this.timeLimit * 60;
+		if(this.captureLimit > 0){
+			for(var team=1; team<=this.teams.count; ++team){
+				if(this.teams.scores[team] >= this.captureLimit) isOver = true;
+			}
+		}
+		if(!isOver) return null;
+		return {
+			winner:  this.teams.getBestTeam(), // 0 for a draw
+			teams:   this.teams.getInfo(),
+			ranking: this.getRanking(),
+		};
+	}
+
+	/**
+	Return the flag carried by the character
+	@method getCarriedFlag
+	@param {Character} character The character
+	@return {Flag} The flag (null if none)
+	*/
+	getCarriedFlag(character){
+		for(var i=0; i<this.flags.length; ++i){
+			if(this.flags[i].carrier === character) return this.flags[i];
+		}
+		return null;
+	}
+}
+HERSTAL.CaptureTheFlag = CaptureTheFlag;
+
+// default number of captures needed to win
+CaptureTheFlag.CAPTURE_LIMIT = 3;
+
+HERSTAL.GameMode.register("ctf", CaptureTheFlag);
@@ -0,0 +1,149 @@
+/**
+Free for all, the first player to reach the frag limit wins
+if the time limit is hit first, the player with the most frags wins
+@class Deathmatch @extends GameMode
+*/
+class Deathmatch extends HERSTAL.GameMode {
+	/**
+	@constructor
+	@param {World} world The world in which the match takes place
+	@param {Object} [options] Configuration of the mode
+	@param {Number} [options.fragLimit] Frags needed to win (0 for no limit)
+	@param {Number} [options.timeLimit] Duration of the match in minutes (0 for no limit)
+	*/
+	constructor(world, options){
+		options = options || {};
+		super(world, options);
+
+		this.fragLimit = options.fragLimit >= 0 ? options.fragLimit : Deathmatch.FRAG_LIMIT;
+		this.timeLimit = options.timeLimit >= 0 ? options.timeLimit : Deathmatch.TIME_LIMIT;
+
+		// players taking part in the match
+		this.players = [];
+		// frags of the players sorted by ids
+		this.frags = {};
+	}
+
+	/**
+	@method onPlayerJoin
+	@param {Player} player The player who joined
+	*/
+	onPlayerJoin(player){
+		if(this.players.indexOf(player) < 0) this.players.push(player);
+		if(this.frags[player.id] == null) this.frags[player.id] = 0;
+	}
+
+	/**
+	@method onPlayerLeave
+	@param {Player} player The player who left
+	*/
+	onPlayerLeave(player){
+		var index = this.players.indexOf(player);
+		if(index > -1) this.players.splice(index, 1);
+		delete this.frags[player.id];
+	}
+
+	/**
+	The killer earns a frag, suicides and deaths caused by the world cost one
+	@method onKill
+	@param {Controllable} victim The character who died
+	@param {Controllable} killer The character responsible (null if killed by the world)
+	*/
+	onKill(victim, killer){
+		var victimPlayer = this._getPlayer(victim),
+		    killerPlayer = this._getPlayer(killer);
+		if(killer === null){
+			if(victimPlayer !== null) this.addFrags(victimPlayer, -Deathmatch.WORLD_PENALTY);
+		}else if(killer === victim || killerPlayer !== null && killerPlayer === victimPlayer){
+			if(victimPlayer !== null) this.addFrags(victimPlayer, -Deathmatch.SUICIDE_PENALTY);
+		}else if(killerPlayer !== null){
+			this.addFrags(killerPlayer, 1);
+		}
+	}
+
+	/**
+	@method checkWinCondition
+	@return {Object} The final ranking once a limit is hit, null otherwise
+	*/
+	checkWinCondition(){
+		if(this.fragLimit > 0){
+			for(var i=0; i<this.players.length; ++i){
+				if(this.frags[this.players[i].id] >= this.fragLimit){
+					return { ranking: this.getRanking() };
+				}
+			}
+		}
+		if(this.timeLimit > 0 && this.getTime() >= this.timeLimit * 60){
+			return { ranking: this.getRanking() };
+		}
+		return null;
+	}
+
+	/**
+	The final ranking is sent to the clients
+	@method onEnd
+	@param {Object} result The result of the match
+	*/
+	onEnd(result){
+		HERSTAL.NETWORK.emitAll('ranking', result);
+	}
+
+	/**
+	Give frags to a player (or remove them if negative)
+	@method addFrags
+	@param {Player} player The player
+	@param {Number} frags The number of frags
+	*/
+	addFrags(player, frags){
+		this.frags[player.id] = (this.frags[player.id] || 0) + frags;
+	}
+
+	/**
+	@method getScore
+	@param {Player} player The player
+	@return {Number} The frags of the player
+	*/
+	getScore(player){
+		return this.frags[player.id] || 0;
+	}
+
+	/**
+	Return the players sorted by frags
+	@method getRanking
+	@return {Array} List of {id, name, frags}, the best player first
+	*/
+	getRanking(){
+		var ranking = [];
+		for(var i=0; i<this.players.length; ++i){
+			var player = this.players[i];
+			ranking.push({
+				id:    player.id,
+				name:  player.name,
+				frags: this.frags[player.id] || 0,
+			});
+		}
+		return ranking.sort(function(a, b){ return b.frags - a.frags; });
+	}
+
+	/**
+	Return the player controlling the given character
+	@method _getPlayer @private
+	@param {Controllable} controllable The character
+	@return {Player} The player taking part in the match (null if none)
+	*/
+	_getPlayer(controllable){
+		if(controllable == null) return null;
+		var controller = controllable.controller;
+		return this.players.indexOf(controller) > -1 ? controller : null;
+	}
+}
+HERSTAL.Deathmatch = Deathmatch;
+
+// default limits of the match
+Deathmatch.FRAG_LIMIT = 25; // frags
+Deathmatch.TIME_LIMIT = 10; // minutes
+// frags lost when killing oneself or dying from the world
+Deathmatch.SUICIDE_PENALTY = 1;
+Deathmatch.WORLD_PENALTY   = 1;
+
+HERSTAL.GameMode.register("deathmatch", Deathmatch);
@@ -0,0 +1,266 @@
+/**
+Match played in rounds, dead players stay dead until the end of the round
+and follow one of their teammates, the last team standing wins the round
+Each round starts with a warmup during which players spawn and kills don't count
+the first team to win the majority of the rounds wins the match
+@class Elimination @extends TeamDeathmatch
+*/
+class Elimination extends HERSTAL.TeamDeathmatch {
+	/**
+	@constructor
+	@param {World} world The world in which the match takes place
+	@param {Object} [options] Configuration of the mode
+	@param {Number} [options.bestOf] Maximum number of rounds of the match
+	@param {Number} [options.roundTime] Duration of the fight of a round (s)
+	@param {Number} [options.warmupTime] Duration of the warmup of a round (s)
+	@param {Number} [options.teams] Number of teams
+	@param {Boolean} [options.balance] Rebalance the teams when the match starts
+	*/
+	constructor(world, options){
+		options = options || {};
+		super(world, options);
+
+		// only rounds count for the teams
+		this.teamFrags = false;
+		this.bestOf = options.bestOf > 0 ?
+			Math.floor(options.bestOf) : Elimination.BEST_OF;
+		this.roundTime = options.roundTime > 0 ?
+			options.roundTime : Elimination.ROUND_TIME;
+		this.warmupTime = options.warmupTime >= 0 ?
+			options.warmupTime : Elimination.WARMUP_TIME;
+
+		// state of the current round
+		this.round     = 0;  // number of the round, from 1
+		this.phase     = Elimination.WARMUP;
+		this.phaseTick = -1; // tick at which the phase started
+	}
+
+	/**
+	@method onStart
+	*/
+	onStart(){
+		super.onStart();
+		this._startRound(this.world.tick);
+	}
+
+	/**
+	@method onTick
+	@param {Number} tick The current tick of the world
+	*/
+	onTick(tick){
+		super.onTick(tick);
+		var elapsed = (tick - this.phaseTick) / SERVER.fps;
+		switch(this.phase){
+			case Elimination.WARMUP:
+				// the fight waits for at least two teams
+				if(elapsed >= this.warmupTime && this._getAliveTeams().length > 1){
+					this._startFight(tick);
+				}
+				break;
+			case Elimination.FIGHT:
+				this._updateSpectators();
+				var alive = this._getAliveTeams();
+				if(alive.length <= 1) this._endRound(tick, alive.length === 1 ? alive[0] : 0);
+				else if(elapsed >= this.roundTime) this._endRound(tick, this._getBestSurvivors());
+				break;
+			case Elimination.OVER:
+				if(elapsed >= Elimination.ROUND_PAUSE) this._startRound(tick);
+				break;
+		}
+	}
+
+	/**
+	Players only get a character during the warmup
+	@method canRespawn
+	@param {Player} player The player waiting to respawn
+	@return {Boolean} True if the player can get a new character
+	*/
+	canRespawn(player){
+		return !this.isRunning || this.phase === Elimination.WARMUP;
+	}
+
+	/**
+	Kills only count during the fight
+	@method onKill
+	@param {Controllable} victim The character who died
+	@param {Controllable} killer The character responsible (null if killed by the world)
+	@param {DamageEvent} damage The damage which killed the victim (null if none)
+	*/
+	onKill(victim, killer, damage){
+		if(this.phase === Elimination.FIGHT) super.onKill(victim, killer, damage);
+	}
+
+	/**
+	The match ends once a team can't be caught up or all the rounds are played
+	the time limit of the match doesn't apply, rounds have their own timer
+	@method checkWinCondition
+	@return {Object} The final ranking once the match is decided, null otherwise
+	*/
+	checkWinCondition(){
+		if(this.phase !== Elimination.OVER) return null;
+		var isOver = this.round >= this.bestOf,
+		    needed = Math.floor(this.bestOf / 2) + 1;
+		for(var team=1; team<=this.teams.count; ++team){
+			if(this.teams.scores[team] >= needed) isOver = true;
+		}
+		if(!isOver) return null;
+		return {
+			winner:  this.teams.getBestTeam(), // 0 for a draw
+			teams:   this.teams.getInfo(),
+			ranking: this.getRanking(),
+		};
+	}
+
+	/**
+	Every player starts the round with a new character
+	@method _startRound @private
+	@param {Number} tick The current tick of the world
+	*/
+	_startRound(tick){
+		++this.round;
+		this._setPhase(Elimination.WARMUP, tick);
+		for(var i=0; i<this.players.length; ++i){
+			var player = this.players[i];
+			player.removeCharacter();
+			player.spectating  = null;
+			player.respawnTick = tick;
+		}
+		this._sendRound({ time: this.warmupTime });
+	}
+
+	/**
+	The players still waiting for their character get it right away
+	@method _startFight @private
+	@param {Number} tick The current tick of the world
+	*/
+	_startFight(tick){
+		this._setPhase(Elimination.FIGHT, tick);
+		for(var i=0; i<this.players.length; ++i){
+			if(this.players[i].controllable === null) this.players[i].spawn(this.world);
+		}
+		this._sendRound({ time: this.roundTime });
+	}
+
+	/**
+	@method _endRound @private
+	@param {Number} tick The current tick of the world
+	@param {Number} winner The team winning the round (0 for a draw)
+	*/
+	_endRound(tick, winner){
+		this._setPhase(Elimination.OVER, tick);
+		if(winner !== 0){
+			this.teams.addScore(winner, 1);
+			this._sendTeams();
+		}
+		this._sendRound({ winner: winner });
+	}
+
+	/**
+	@method _setPhase @private
+	@param {String} phase The new phase of the round
+	@param {Number} tick The current tick of the world
+	*/
+	_setPhase(phase, tick){
+		this.phase     = phase;
+		this.phaseTick = tick;
+	}
+
+	/**
+	Dead players follow a living teammate, until this one dies too
+	@method _updateSpectators @private
+	*/
+	_updateSpectators(){
+		for(var i=0; i<this.players.length; ++i){
+			var player = this.players[i], target = player.spectating;
+			if(player.controllable !== null){
+				player.spectating = null;
+			}else if(target === null || target.isDead || target.world === null){
+				player.spectating = this._getTeammate(player);
+			}
+		}
+	}
+
+	/**
+	@method _getTeammate @private
+	@param {Player} player The player looking for a teammate
+	@return {Controllable} The character of a living teammate (null if none)
+	*/
+	_getTeammate(player){
+		for(var i=0; i<this.players.length; ++i){
+			var other = this.players[i];
+			if(other !== player && other.team === player.team && this._isAlive(other)){
+				return other.controllable;
+			}
+		}
+		return null;
+	}
+
+	/**
+	@method _getAliveTeams @private
+	@return {Array} The teams with at least one living player
+	*/
+	_getAliveTeams(){
+		var teams = [];
+		for(var i=0; i<this.players.length; ++i){
+			var player = this.players[i];
+			if(this._isAlive(player) && teams.indexOf(player.team) < 0) teams.push(player.team);
+		}
+		return teams;
+	}
+
+	/**
+	When the time is over, the team with the most survivors wins the round
+	@method _getBestSurvivors @private
+	@return {Number} The team (0 if there is a tie)
+	*/
+	_getBestSurvivors(){
+		var best = 0, count = 0;
+		for(var team=1; team<=this.teams.count; ++team){
+			var alive = this.teams.members[team].filter(this._isAlive).length;
+			if(alive > count){
+				best  = team;
+				count = alive;
+			}else if(alive === count){
+				best = 0;
+			}
+		}
+		return best;
+	}
+
+	/**
+	@method _isAlive @private
+	@param {Player} player The player
+	@return {Boolean} True if the player has a living character
+	*/
+	_isAlive(player){
+		return player.controllable !== null && !player.controllable.isDead;
+	}
+
+	/**
+	Tell the clients about the state of the round
+	@method _sendRound @private
+	@param {Object} data Additional data of the phase (time, winner)
+	*/
+	_sendRound(data){
+		HERSTAL.NETWORK.emitAll('round', Object.assign({
+			round: this.round,
+			phase: this.phase,
+		}, data));
+	}
+}
+HERSTAL.Elimination = Elimination;
+
+// phases of a round
+Elimination.WARMUP = "warmup"; // players spawn, kills don't count
+Elimination.FIGHT  = "fight";  // nobody respawns
+Elimination.OVER   = "over";   // the round is over, the next one is coming
+
+// default maximum number of rounds
+Elimination.BEST_OF = 5;
+// default durations of the phases in seconds
+Elimination.ROUND_TIME  = 120;
+Elimination.WARMUP_TIME = 10;
+// time between the end of a round and the next one in seconds
+Elimination.ROUND_PAUSE = 5;
+
+HERSTAL.GameMode.register("elimination", Elimination);
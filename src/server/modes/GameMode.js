@@ -0,0 +1,223 @@
+/**
+Base class of the game modes, defines the rules of a match
+Extending classes override the hooks they need and register themselves
+with GameMode.register so they can be selected with -modes
+@class GameMode
+*/
+class GameMode {
+	/**
+	@constructor
+	@param {World} world The world in which the match takes place
+	@param {Object} [options] Configuration of the mode
+	@param {Number} [options.intermission] Time between the end of the match and the next one (s)
+	*/
+	constructor(world, options){
+		options = options || {};
+
+		// the world in which the match takes place
+		this.world = world;
+		this.options = options;
+
+		this.intermission = options.intermission >= 0 ?
+			options.intermission : GameMode.INTERMISSION;
+
+		// modes with teams keep the teams of the players
+		this.hasTeams = false;
+
+		// state of the match
+		this.isRunning = false;
+		this.startTick = -1; // tick at which the match started
+		this.endTick   = -1; // tick at which the match ended
+		this.result    = null; // what checkWinCondition returned
+
+		// the world tells us when a character dies
+		this._onKill = (victim, killer, damage) => {
+			if(this.isRunning) this.onKill(victim, killer, damage);
+		};
+	}
+
+	/**
+	Start the match with the players already connected
+	@method start
+	@param {Array} players The players of the game
+	*/
+	start(players){
+		if(this.isRunning || this.endTick > -1) return null;
+		this.isRunning = true;
+		this.startTick = this.world.tick;
+		this.world.on('kill', this._onKill);
+		this.onStart();
+		for(var i=0; i<players.length; ++i){
+			// without teams, everyone is on its own
+			if(!this.hasTeams) players[i].team = 0;
+			this.onPlayerJoin(players[i]);
+		}
+	}
+
+	/**
+	Update the match, to call once per tick
+	@method update
+	@param {Number} tick The current tick of the world
+	*/
+	update(tick){
+		if(!this.isRunning) return null;
+		this.onTick(tick);
+		var result = this.checkWinCondition();
+		if(result != null) this.end(result);
+	}
+
+	/**
+	End the match
+	@method end
+	@param {Object} result The result of the match (winner)
+	*/
+	end(result){
+		if(!this.isRunning) return null;
+		this.isRunning = false;
+		this.endTick = this.world.tick;
+		this.result  = result;
+		this.world.removeListener('kill', this._onKill);
+		this.onEnd(result);
+	}
+
+	/**
+	Tell if the match and its intermission are over
+	@method isOver
+	@param {Number} tick The current tick of the world
+	@return {Boolean} True if the next match can start
+	*/
+	isOver(tick){
+		return this.endTick > -1 &&
+			tick - this.endTick >= this.intermission * SERVER.fps;
+	}
+
+	/**
+	Return the time elapsed since the start of the match
+	@method getTime
+	@return {Number} Time in seconds
+	*/
+	getTime(){
+		if(this.startTick < 0) return 0;
+		var tick = this.endTick > -1 ? this.endTick : this.world.tick;
+		return (tick - this.startTick) / SERVER.fps;
+	}
+
+	/* HOOKS */
+
+	/**
+	Called when the match starts
+	@method onStart
+	*/
+	onStart(){}
+
+	/**
+	Called when a player joins the match
+	@method onPlayerJoin
+	@param {Player} player The player who joined
+	*/
+	onPlayerJoin(player){}
+
+	/**
+	Called when a player leaves the match
+	@method onPlayerLeave
+	@param {Player} player The player who left
+	*/
+	onPlayerLeave(player){}
+
+	/**
+	Called when a player asks to join another team
+	@method onTeamRequest
+	@param {Player} player The player asking
+	@param {Number} team The team the player wants to join
+	*/
+	onTeamRequest(player, team){}
+
+	/**
+	Called when a character dies during the match
+	@method onKill
+	@param {Controllable} victim The character who died
+	@param {Controllable} killer The character responsible (null if killed by the world)
+	@param {DamageEvent} damage The damage which killed the victim (null if none)
+	*/
+	onKill(victim, killer, damage){}
+
+	/**
+	Called when a player is about to get a new character
+	@method canRespawn
+	@param {Player} player The player waiting to respawn
+	@return {Boolean} False to keep the player waiting
+	*/
+	canRespawn(player){
+		return true;
+	}
+
+	/**
+	Return the score of the player shown in the scoreboard
+	@method getScore
+	@param {Player} player The player
+	@return {Number} The score of the player
+	*/
+	getScore(player){
+		return player.stats.kills;
+	}
+
+	/**
+	Called once per tick while the match is running
+	@method onTick
+	@param {Number} tick The current tick of the world
+	*/
+	onTick(tick){}
+
+	/**
+	Check if the match is over
+	@method checkWinCondition
+	@return {Object} The result of the match, null while it goes on
+	*/
+	checkWinCondition(){
+		return null;
+	}
+
+	/**
+	Called when the match ends
+	@method onEnd
+	@param {Object} result The result of the match
+	*/
+	onEnd(result){}
+}
+HERSTAL.GameMode = GameMode;
+
+// default time between two matches in seconds
+GameMode.INTERMISSION = 10;
+
+// game modes sorted by names
+GameMode.modes = {};
+
+/**
+Make a game mode available for the -modes rotation
+@method register
+@param {String} name The name of the mode
+@param {Function} Mode The class of the mode
+*/
+GameMode.register = function(name, Mode){
+	GameMode.modes[name.toLowerCase()] = Mode;
+};
+
+/**
+Create the game mode with the given name
+@method create
+@param {String} name The name of the mode
+@param {World} world The world in which the match takes place
+@param {Object} [options] Configuration of the mode
+@return {GameMode} The new game mode
+*/
+GameMode.create = function(name, world, options){
+	var Mode = GameMode.modes[String(name).toLowerCase()];
+	if(Mode == null){
+		throw new Error('"'+name+'" is not a game mode, available modes: ' +
+			Object.keys(GameMode.modes).join(", "));
+	}
+	return new Mode(world, options);
+};
+
+// a match without rules, it never ends
+GameMode.register("default", GameMode);
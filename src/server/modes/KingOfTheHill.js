@@ -0,0 +1,235 @@
+/**
+Teams capture the zones of the map by standing in them
+and score a point per second for each zone they hold uncontested
+with a zone time, only one zone is active at once and it moves regularly
+@class KingOfTheHill @extends TeamDeathmatch
+*/
+class KingOfTheHill extends HERSTAL.TeamDeathmatch {
+	/**
+	@constructor
+	@param {World} world The world in which the match takes place
+	@param {Object} [options] Configuration of the mode
+	@param {Number} [options.scoreLimit] Points a team needs to win (0 for no limit)
+	@param {Number} [options.timeLimit] Duration of the match in minutes (0 for no limit)
+	@param {Number} [options.captureTime] Time needed to capture a zone alone (s)
+	@param {Number} [options.zoneTime] Time before the active zone moves (s, 0 for all zones)
+	@param {Number} [options.teams] Number of teams
+	@param {Boolean} [options.balance] Rebalance the teams when the match starts
+	*/
+	constructor(world, options){
+		options = options || {};
+		super(world, options);
+
+		// only holding zones counts for the teams
+		this.teamFrags = false;
+		this.scoreLimit = options.scoreLimit >= 0 ?
+			options.scoreLimit : KingOfTheHill.SCORE_LIMIT;
+		this.captureTime = options.captureTime > 0 ?
+			options.captureTime : KingOfTheHill.CAPTURE_TIME;
+		this.zoneTime = options.zoneTime >= 0 ?
+			options.zoneTime : KingOfTheHill.ZONE_TIME;
+
+		// zones of the map and their state
+		this.zones = [];
+		this.activeZone   = 0;  // index of the active zone when they rotate
+		this.rotationTick = -1; // tick at which the active zone moves
+		this._lastZones   = ""; // last states sent to the clients
+	}
+
+	/**
+	Create a trigger for each zone of the map
+	@method onStart
+	*/
+	onStart(){
+		super.onStart();
+		var zones = this.world.zones;
+		for(var i=0; i<zones.length; ++i){
+			var trigger = new HERSTAL.Trigger(
+				zones[i].halfExtents, zones[i].position, zones[i].quaternion
+			);
+			this.world.addTrigger(trigger);
+			this.zones.push({
+				trigger:     trigger,
+				team:        0,     // team holding the zone
+				capturing:   0,     // team making progress
+				progress:    0,     // within [0, 1]
+				isContested: false, // several teams are inside
+				ticks:       0,     // ticks held uncontested
+			});
+		}
+		if(this.zones.length === 0){
+			console.log('Warning: the map "'+this.world.name+'" has no capture zone');
+		}
+		this.rotationTick = this.world.tick + Math.round(this.zoneTime * SERVER.fps);
+	}
+
+	/**
+	@method onTick
+	@param {Number} tick The current tick of the world
+	*/
+	onTick(tick){
+		super.onTick(tick);
+		if(this.zoneTime > 0 && this.zones.length > 1 && tick >= this.rotationTick){
+			this.rotateZone(tick);
+		}
+		var rate = 1 / (this.captureTime * SERVER.fps);
+		for(var i=0; i<this.zones.length; ++i){
+			if(this.isActive(i)) this._updateZone(this.zones[i], rate);
+		}
+		// the states of the zones follow the rate of the snapshots
+		if(tick % NETWORK.getInterval() === 0) this._sendZones();
+	}
+
+	/**
+	@method isActive
+	@param {Number} index The index of the zone
+	@return {Boolean} True if the zone can be captured
+	*/
+	isActive(index){
+		return this.zoneTime <= 0 || index === this.activeZone;
+	}
+
+	/**
+	The active zone moves to the next zone of the map, which starts neutral
+	@method rotateZone
+	@param {Number} tick The current tick of the world
+	*/
+	rotateZone(tick){
+		this._resetZone(this.zones[this.activeZone]);
+		this.activeZone = (this.activeZone + 1) % this.zones.length;
+		this._resetZone(this.zones[this.activeZone]);
+		this.rotationTick = tick + Math.round(this.zoneTime * SERVER.fps);
+		HERSTAL.NETWORK.emitAll('zone', { type: "rotate", zone: this.activeZone, team: 0 });
+	}
+
+	/**
+	@method checkWinCondition
+	@return {Object} The final ranking once a limit is hit, null otherwise
+	*/
+	checkWinCondition(){
+		var isOver = this.timeLimit > 0 && this.getTime() >= this.timeLimit * 60;
+		if(this.scoreLimit > 0){
+			for(var team=1; team<=this.teams.count; ++team){
+				if(this.teams.scores[team] >= this.scoreLimit) isOver = true;
+			}
+		}
+		if(!isOver) return null;
+		return {
+			winner:  this.teams.getBestTeam(), // 0 for a draw
+			teams:   this.teams.getInfo(),
+			ranking: this.getRanking(),
+		};
+	}
+
+	/**
+	Make the capture of the zone progress and score its owner
+	@method _updateZone @private
+	@param {Object} zone The zone
+	@param {Number} rate The progress made in one tick
+	*/
+	_updateZone(zone, rate){
+		var teams = this._getTeamsInside(zone.trigger);
+		zone.isContested = teams.length > 1;
+		// nothing moves while the teams fight for the zone
+		if(zone.isContested) return null;
+
+		var team = teams.length === 1 ? teams[0] : 0;
+		if(team !== 0 && team !== zone.team){
+			// the progress of another team must be undone first
+			if(zone.capturing !== team && zone.progress > 0){
+				zone.progress = Math.max(0, zone.progress - rate);
+			}else{
+				zone.capturing = team;
+				zone.progress  = Math.min(1, zone.progress + rate);
+				if(zone.progress >= 1) this._captureZone(zone, team);
+			}
+		}else if(zone.progress > 0){
+			// without anyone capturing, the progress fades away
+			zone.progress = Math.max(0, zone.progress - rate);
+		}
+		if(zone.progress === 0) zone.capturing = 0;
+
+		// the owner scores a point each second
+		if(zone.team !== 0 && ++zone.ticks % SERVER.fps === 0){
+			this.teams.addScore(zone.team, 1);
+			this._sendTeams();
+		}
+	}
+
+	/**
+	@method _captureZone @private
+	@param {Object} zone The zone
+	@param {Number} team The team taking the zone
+	*/
+	_captureZone(zone, team){
+		zone.team      = team;
+		zone.capturing = 0;
+		zone.progress  = 0;
+		zone.ticks     = 0;
+		HERSTAL.NETWORK.emitAll('zone', {
+			type: "capture",
+			zone: this.zones.indexOf(zone),
+			team: team,
+		});
+	}
+
+	/**
+	@method _resetZone @private
+	@param {Object} zone The zone becoming neutral
+	*/
+	_resetZone(zone){
+		zone.team        = 0;
+		zone.capturing   = 0;
+		zone.progress    = 0;
+		zone.isContested = false;
+		zone.ticks       = 0;
+	}
+
+	/**
+	Return the teams of the players standing in the zone
+	@method _getTeamsInside @private
+	@param {Trigger} trigger The volume of the zone
+	@return {Array} The teams present
+	*/
+	_getTeamsInside(trigger){
+		var teams = [];
+		for(var i=0; i<trigger.inside.length; ++i){
+			var player = this._getPlayer(trigger.inside[i]);
+			if(player !== null && teams.indexOf(player.team) < 0) teams.push(player.team);
+		}
+		return teams;
+	}
+
+	/**
+	Send the states of the zones to the clients if they changed
+	@method _sendZones @private
+	*/
+	_sendZones(){
+		var states = [];
+		for(var i=0; i<this.zones.length; ++i){
+			var zone = this.zones[i];
+			states.push({
+				team:      zone.team,
+				capturing: zone.capturing,
+				progress:  Math.round(zone.progress * 100) / 100,
+				contested: zone.isContested,
+				active:    this.isActive(i),
+			});
+		}
+		var json = JSON.stringify(states);
+		if(json !== this._lastZones){
+			this._lastZones = json;
+			HERSTAL.NETWORK.emitAll('zones', states);
+		}
+	}
+}
+HERSTAL.KingOfTheHill = KingOfTheHill;
+
+// default points needed to win
+KingOfTheHill.SCORE_LIMIT = 100;
+// default time needed to capture a zone alone in seconds
+KingOfTheHill.CAPTURE_TIME = 10;
+// default time before the active zone moves in seconds
+KingOfTheHill.ZONE_TIME = 60;
+
+HERSTAL.GameMode.register("koth", KingOfTheHill);
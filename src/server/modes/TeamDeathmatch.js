@@ -0,0 +1,134 @@
+/**
+Deathmatch played by teams, frags of the players are added to their team
+the first team to reach the frag limit wins
+@class TeamDeathmatch @extends Deathmatch
+*/
+class TeamDeathmatch extends HERSTAL.Deathmatch {
+	/**
+	@constructor
+	@param {World} world The world in which the match takes place
+	@param {Object} [options] Configuration of the mode
+	@param {Number} [options.fragLimit] Frags a team needs to win (0 for no limit)
+	@param {Number} [options.timeLimit] Duration of the match in minutes (0 for no limit)
+	@param {Number} [options.teams] Number of teams
+	@param {Boolean} [options.balance] Rebalance the teams when the match starts
+	*/
+	constructor(world, options){
+		options = options || {};
+		super(world, options);
+
+		this.hasTeams = true;
+		this.balance  = !!options.balance;
+		// the score of a team is the sum of the frags of its players
+		this.teamFrags = true;
+		this.teams    = new HERSTAL.TeamManager(options.teams);
+	}
+
+	/**
+	Start the match, players keep the team of the previous match
+	unless the teams need to be rebalanced
+	@method start
+	@param {Array} players The players of the game
+	*/
+	start(players){
+		super.start(players);
+		if(this.balance && this.teams.rebalance().length > 0) this._sendTeams();
+	}
+
+	/**
+	@method onPlayerJoin
+	@param {Player} player The player who joined
+	*/
+	onPlayerJoin(player){
+		super.onPlayerJoin(player);
+		this.teams.add(player);
+		this._sendTeams();
+	}
+
+	/**
+	@method onPlayerLeave
+	@param {Player} player The player who left
+	*/
+	onPlayerLeave(player){
+		super.onPlayerLeave(player);
+		this.teams.remove(player);
+		this._sendTeams();
+	}
+
+	/**
+	The player switches team if it doesn't unbalance the teams
+	its character is removed and respawns in the new team
+	@method onTeamRequest
+	@param {Player} player The player asking
+	@param {Number} team The team the player wants to join
+	*/
+	onTeamRequest(player, team){
+		if(this.players.indexOf(player) > -1 && this.teams.requestSwitch(player, team)){
+			player.removeCharacter();
+			this._sendTeams();
+		}
+	}
+
+	/**
+	Killing a teammate costs a frag, otherwise same rules as deathmatch
+	@method onKill
+	@param {Controllable} victim The character who died
+	@param {Controllable} killer The character responsible (null if killed by the world)
+	@param {DamageEvent} damage The damage which killed the victim (null if none)
+	*/
+	onKill(victim, killer, damage){
+		var victimPlayer = this._getPlayer(victim),
+		    killerPlayer = this._getPlayer(killer);
+		if(victimPlayer !== null && killerPlayer !== null &&
+			victimPlayer !== killerPlayer && victimPlayer.team === killerPlayer.team){
+			this.addFrags(killerPlayer, -TeamDeathmatch.TEAMKILL_PENALTY);
+		}else{
+			super.onKill(victim, killer, damage);
+		}
+		this._sendTeams();
+	}
+
+	/**
+	Frags of the players count for their team too
+	@method addFrags
+	@param {Player} player The player
+	@param {Number} frags The number of frags
+	*/
+	addFrags(player, frags){
+		super.addFrags(player, frags);
+		if(this.teamFrags) this.teams.addScore(player.team, frags);
+	}
+
+	/**
+	@method checkWinCondition
+	@return {Object} The final ranking once a limit is hit, null otherwise
+	*/
+	checkWinCondition(){
+		var isOver = this.timeLimit > 0 && this.getTime() >= this.timeLimit * 60;
+		if(this.fragLimit > 0){
+			for(var team=1; team<=this.teams.count; ++team){
+				if(this.teams.scores[team] >= this.fragLimit) isOver = true;
+			}
+		}
+		if(!isOver) return null;
+		return {
+			winner:  this.teams.getBestTeam(), // 0 for a draw
+			teams:   this.teams.getInfo(),
+			ranking: this.getRanking(),
+		};
+	}
+
+	/**
+	Send the composition and scores of the teams to the clients
+	@method _sendTeams @private
+	*/
+	_sendTeams(){
+		HERSTAL.NETWORK.emitAll('teams', this.teams.getInfo());
+	}
+}
+HERSTAL.TeamDeathmatch = TeamDeathmatch;
+
+// frags lost when killing a teammate
+TeamDeathmatch.TEAMKILL_PENALTY = 1;
+
+HERSTAL.GameMode.register("teamdeathmatch", TeamDeathmatch);
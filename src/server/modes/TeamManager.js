@@ -0,0 +1,169 @@
+/**
+Assign the players to teams and keep track of the scores of the teams
+Teams are numbered from 1, 0 means no team (see COLLISION)
+@class TeamManager
+*/
+class TeamManager {
+	/**
+	@constructor
+	@param {Number} [count] Number of teams, within [2, COLLISION.length-1]
+	*/
+	constructor(count){
+		var max = COLLISION.length - 1;
+		this.count = Number.isSafeInteger(count) ?
+			Math.max(2, Math.min(count, max)) : 2;
+
+		// players and scores of the teams sorted by team ids
+		this.members = {};
+		this.scores  = {};
+		for(var team=1; team<=this.count; ++team){
+			this.members[team] = [];
+			this.scores [team] = 0;
+		}
+	}
+
+	/**
+	Add a player to a team, the player keeps its team if it is valid
+	otherwise it joins the smallest team
+	@method add
+	@param {Player} player The player to add
+	@return {Number} The team of the player
+	*/
+	add(player){
+		this.remove(player);
+		var team = this.isValid(player.team) ? player.team : this.getSmallestTeam();
+		this.members[team].push(player);
+		player.team = team;
+		return team;
+	}
+
+	/**
+	Remove a player from its team
+	@method remove
+	@param {Player} player The player to remove
+	*/
+	remove(player){
+		for(var team in this.members){
+			var index = this.members[team].indexOf(player);
+			if(index > -1) this.members[team].splice(index, 1);
+		}
+	}
+
+	/**
+	Move a player to the given team if it doesn't unbalance the teams
+	@method requestSwitch
+	@param {Player} player The player asking to switch
+	@param {Number} team The team the player wants to join
+	@return {Boolean} True if the player switched team
+	*/
+	requestSwitch(player, team){
+		if(!this.isValid(team) || player.team === team) return false;
+		// the new team must be smaller than the old one,
+		// players without team can only join one of the smallest teams
+		var limit = this.isValid(player.team) ?
+			this.members[player.team].length - 1 :
+			this.members[this.getSmallestTeam()].length;
+		if(this.members[team].length > limit) return false;
+		this.remove(player);
+		this.members[team].push(player);
+		player.team = team;
+		return true;
+	}
+
+	/**
+	Move the last players who joined the biggest teams to the smallest teams
+	until no team has more than one player more than another
+	@method rebalance
+	@return {Array} The players who changed team
+	*/
+	rebalance(){
+		var moved = [];
+		for(;;){
+			var biggest = this.getBiggestTeam(), smallest = this.getSmallestTeam();
+			if(this.members[biggest].length - this.members[smallest].length <= 1) break;
+			var player = this.members[biggest].pop();
+			this.members[smallest].push(player);
+			player.team = smallest;
+			if(moved.indexOf(player) < 0) moved.push(player);
+		}
+		return moved;
+	}
+
+	/**
+	Add points to the score of a team
+	@method addScore
+	@param {Number} team The team
+	@param {Number} points The points to add (can be negative)
+	*/
+	addScore(team, points){
+		if(this.isValid(team)) this.scores[team] += points;
+	}
+
+	/**
+	@method isValid
+	@param {Number} team A team id
+	@return {Boolean} True if the team exists
+	*/
+	isValid(team){
+		return Number.isSafeInteger(team) && team >= 1 && team <= this.count;
+	}
+
+	/**
+	@method getSmallestTeam
+	@return {Number} The team with the fewest players (the first one if equal)
+	*/
+	getSmallestTeam(){
+		var best = 1;
+		for(var team=2; team<=this.count; ++team){
+			if(this.members[team].length < this.members[best].length) best = team;
+		}
+		return best;
+	}
+
+	/**
+	@method getBiggestTeam
+	@return {Number} The team with the most players (the last one if equal)
+	*/
+	getBiggestTeam(){
+		var best = this.count;
+		for(var team=this.count-1; team>=1; --team){
+			if(this.members[team].length > this.members[best].length) best = team;
+		}
+		return best;
+	}
+
+	/**
+	@method getBestTeam
+	@return {Number} The team with the highest score (0 if there is a tie)
+	*/
+	getBestTeam(){
+		var best = 0, score = -Infinity;
+		for(var team=1; team<=this.count; ++team){
+			if(this.scores[team] > score){
+				best  = team;
+				score = this.scores[team];
+			}else if(this.scores[team] === score){
+				best = 0;
+			}
+		}
+		return best;
+	}
+
+	/**
+	Return the composition and score of the teams to send to the clients
+	@method getInfo
+	@return {Array} List of {team, score, players: [ids]}
+	*/
+	getInfo(){
+		var info = [];
+		for(var team=1; team<=this.count; ++team){
+			info.push({
+				team:    team,
+				score:   this.scores[team],
+				players: this.members[team].map(function(player){ return player.id; }),
+			});
+		}
+		return info;
+	}
+}
+HERSTAL.TeamManager = TeamManager;
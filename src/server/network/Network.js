@@ -0,0 +1,198 @@
+/**
+Manage the states sent to the clients
+Following the Quake 3 network model, each client recieves the difference
+between the current snapshot and the last snapshot it acknowledged
+*/
+var NETWORK = HERSTAL.NETWORK = {
+	// sockets of the players who joined the game
+	clients: [],
+	// last snapshots sent sorted by ticks
+	history: {},
+
+	/**
+	Start sending states to the client
+	@method addClient
+	@param {Socket} socket The socket of the client
+	*/
+	addClient: function(socket){
+		if(NETWORK.clients.indexOf(socket) < 0){
+			NETWORK.clients.push(socket);
+		}
+	},
+
+	/**
+	Stop sending states to the client
+	@method removeClient
+	@param {Socket} socket The socket of the client
+	*/
+	removeClient: function(socket){
+		var index = NETWORK.clients.indexOf(socket);
+		if(index > -1) NETWORK.clients.splice(index, 1);
+	},
+
+	/**
+	Send a message to the client of a player only
+	@method emitTo
+	@param {Player} player The player recieving the message
+	@param {String} name The name of the message
+	@param {Object} data The content of the message
+	*/
+	emitTo: function(player, name, data){
+		for(var i=0; i<NETWORK.clients.length; ++i){
+			if(NETWORK.clients[i].player === player){
+				NETWORK.clients[i].emit(name, data);
+			}
+		}
+	},
+
+	/**
+	Send a message to the clients of every player who joined the game
+	@method emitAll
+	@param {String} name The name of the message
+	@param {Object} data The content of the message
+	*/
+	emitAll: function(name, data){
+		for(var i=0; i<NETWORK.clients.length; ++i){
+			NETWORK.clients[i].emit(name, data);
+		}
+	},
+
+	/**
+	Send the state of the world to the players if it is time to
+	to use as a broadcast hook of the GameLoop
+	@method broadcast
+	@param {World} world The world to send the state of
+	@param {Number} tick The current tick of the world
+	*/
+	broadcast: function(world, tick){
+		// the network rate is lower than the simulation rate
+		if(tick % NETWORK.getInterval() !== 0) return null;
+
+		// we keep the snapshot to compute the next deltas
+		var snapshot = world.getSnapshot();
+		NETWORK._store(snapshot);
+
+		for(var i=0; i<NETWORK.clients.length; ++i){
+			var socket = NETWORK.clients[i];
+			var player = socket.player;
+			// the last snapshot the client told us it recieved
+			var base = NETWORK.history[player.ack];
+			// without a known base, the client needs the full snapshot
+			var message = base ? NETWORK.diff(base, snapshot) :
+				Object.assign({}, snapshot);
+			// the client needs to know which of its inputs have been applied
+			// to its character to predict its movement
+			message.seq  = player.sequence;
+			message.char = player.controllable !== null ? player.controllable.id : -1;
+			// a dead player can follow another character
+			if(player.controllable === null && player.spectating !== null){
+				message.spec = player.spectating.id;
+			}
+			// only the owner of the weapon knows how much ammo it has left
+			var weapon = player.controllable !== null &&
+				typeof player.controllable.getWeapon === "function" ?
+				player.controllable.getWeapon() : null;
+			if(weapon !== null && weapon.maxAmmo > 0){
+				message.ammo    = weapon.ammo;
+				message.reserve = weapon.reserve; // null if unlimited
+			}
+			socket.emit('states', SERVER.protocol === "binary" ?
+				PROTOCOL.encodeStates(message) : message);
+		}
+	},
+
+	/**
+	Return the number of ticks between two snapshots
+	@method getInterval
+	@return {Number} number of ticks
+	*/
+	getInterval: function(){
+		return Math.max(1, Math.round(SERVER.fps / SERVER.netRate));
+	},
+
+	/**
+	Generate the delta between two snapshots
+	@method diff
+	@param {Object} base The snapshot acknowledged by the client
+	@param {Object} snapshot The current snapshot
+	@return {Object} Only the states which changed since the base
+	*/
+	diff: function(base, snapshot){
+		var delta   = { tick: snapshot.tick, base: base.tick },
+				removed = null;
+		for(var i=0; i<PROTOCOL.CATEGORIES.length; ++i){
+			var cat  = PROTOCOL.CATEGORIES[i],
+					prev = base    [cat] || {},
+					curr = snapshot[cat] || {},
+					list = delta[cat] = {},
+					id;
+			for(id in curr){
+				// new elements are sent entirely
+				if(prev[id] == null) list[id] = curr[id];
+				else{
+					var changes = NETWORK._diffState(prev[id], curr[id]);
+					if(changes !== null) list[id] = changes;
+				}
+			}
+			// elements which left the world since the base
+			for(id in prev){
+				if(curr[id] == null){
+					removed = removed || {};
+					removed[cat] = removed[cat] || [];
+					removed[cat].push(+id);
+				}
+			}
+		}
+		if(removed !== null) delta.removed = removed;
+		return delta;
+	},
+
+	/**
+	Return the fields of the state which changed
+	@method _diffState @private
+	@param {Object} prev The previous state of the element
+	@param {Object} curr The current state of the element
+	@return {Object} The changed fields (null if nothing changed)
+	*/
+	_diffState: function(prev, curr){
+		var changes = null;
+		for(var key in curr){
+			if(!NETWORK._equals(prev[key], curr[key])){
+				changes = changes || {};
+				changes[key] = curr[key];
+			}
+		}
+		return changes;
+	},
+
+	/**
+	Compare two values of a state (numbers or vectors)
+	@method _equals @private
+	@return {Boolean} True if both values are the same
+	*/
+	_equals: function(a, b){
+		if(typeof a !== "object" || a === null || b === null) return a === b;
+		if(typeof b !== "object") return false;
+		for(var key in b){
+			if(!NETWORK._equals(a[key], b[key])) return false;
+		}
+		return true;
+	},
+
+	/**
+	Keep the snapshot and forget the ones too old to be used as base
+	@method _store @private
+	@param {Object} snapshot The snapshot to keep
+	*/
+	_store: function(snapshot){
+		NETWORK.history[snapshot.tick] = snapshot;
+		var limit = snapshot.tick - NETWORK.HISTORY_SIZE * NETWORK.getInterval();
+		for(var tick in NETWORK.history){
+			if(+tick <= limit) delete NETWORK.history[tick];
+		}
+	},
+};
+
+// number of snapshots kept to compute deltas
+// if a client hasn't acknowledged any of them, it gets a full snapshot
+NETWORK.HISTORY_SIZE = 32;
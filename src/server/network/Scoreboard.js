@@ -0,0 +1,119 @@
+/**
+Keep the statistics of the players up to date and send them to the clients
+only the players whose statistics changed are sent
+*/
+var SCOREBOARD = HERSTAL.SCOREBOARD = {
+	// damage dealt to the living characters sorted by character ids
+	// { playerId: tick of the last damage } to find the assists
+	damagers: {},
+	// last statistics sent sorted by player ids
+	sent: {},
+
+	/**
+	Start a new match, the statistics of the players are reset
+	@method reset
+	@param {Array} players The players of the game
+	*/
+	reset: function(players){
+		SCOREBOARD.damagers = {};
+		for(var i=0; i<players.length; ++i){
+			players[i].resetStats();
+		}
+	},
+
+	/**
+	Listen to the events of the world of the match
+	@method listen
+	@param {World} world The world of the match
+	*/
+	listen: function(world){
+		world.on('damage', SCOREBOARD.onDamage);
+		world.on('kill',   SCOREBOARD.onKill);
+	},
+
+	/**
+	Count the damage dealt to the other players
+	@method onDamage
+	@param {DamageEvent} event The damage dealt
+	*/
+	onDamage: function(event){
+		var attacker = event.attacker, victim = event.victim;
+		if(!SCOREBOARD._hasStats(attacker) || attacker === victim.controller) return null;
+		if(TEAM.isFriendly(attacker.team, victim.team)) return null;
+		attacker.stats.damage += event.dealt;
+		// we remember who hurt the victim for the assists
+		var list = SCOREBOARD.damagers[victim.id] = SCOREBOARD.damagers[victim.id] || {};
+		list[attacker.id] = victim.world !== null ? victim.world.tick : 0;
+	},
+
+	/**
+	Count the kills, deaths and assists
+	@method onKill
+	@param {Controllable} victim The character who died
+	@param {Controllable} killer The character responsible (null if killed by the world)
+	@param {DamageEvent} damage The damage which killed the victim (null if none)
+	*/
+	onKill: function(victim, killer, damage){
+		var dead     = victim.controller,
+		    attacker = damage !== null ? damage.attacker : null;
+		if(SCOREBOARD._hasStats(dead)) ++dead.stats.deaths;
+		if(SCOREBOARD._hasStats(attacker) && attacker !== dead &&
+			!TEAM.isFriendly(attacker.team, victim.team)){
+			++attacker.stats.kills;
+		}
+		// the players who hurt the victim recently helped
+		var list = SCOREBOARD.damagers[victim.id] || {},
+		    tick = victim.world !== null ? victim.world.tick : 0,
+		    limit = tick - SCOREBOARD.ASSIST_TIME * SERVER.fps;
+		for(var id in list){
+			var player = HERSTAL.Player.getPlayer(+id);
+			if(player !== null && player !== attacker && player !== dead && list[id] >= limit){
+				++player.stats.assists;
+			}
+		}
+		delete SCOREBOARD.damagers[victim.id];
+	},
+
+	/**
+	Send the statistics which changed to the clients
+	to use as a broadcast hook of the GameLoop
+	@method broadcast
+	@param {World} world The world of the match
+	@param {Number} tick The current tick of the world
+	*/
+	broadcast: function(world, tick){
+		if(tick % Math.round(SCOREBOARD.INTERVAL * SERVER.fps) !== 0) return null;
+		var changed = [], removed = [], players = HERSTAL.Player.players, id;
+		var list = {};
+		for(var i=0; i<players.length; ++i){
+			// the rules of the match define the score
+			if(HERSTAL.mode) players[i].stats.score = HERSTAL.mode.getScore(players[i]);
+			var info = players[i].getScoreInfo(), json = JSON.stringify(info);
+			list[info.id] = json;
+			if(SCOREBOARD.sent[info.id] !== json) changed.push(info);
+		}
+		// players who left since the last update
+		for(id in SCOREBOARD.sent){
+			if(list[id] == null) removed.push(+id);
+		}
+		SCOREBOARD.sent = list;
+		if(changed.length > 0 || removed.length > 0){
+			// only the clients who joined the game display the scoreboard
+			HERSTAL.NETWORK.emitAll('scoreboard', { players: changed, removed: removed });
+		}
+	},
+
+	/**
+	@method _hasStats @private
+	@param {Controller} controller A controller
+	@return {Boolean} True if the controller is a player with statistics
+	*/
+	_hasStats: function(controller){
+		return controller != null && controller.stats != null;
+	},
+};
+
+// time during which a damage counts for an assist in seconds
+SCOREBOARD.ASSIST_TIME = 10;
+// time between two updates of the scoreboard in seconds
+SCOREBOARD.INTERVAL = 1;
@@ -0,0 +1,185 @@
+/**
+Flag of a team, it can be carried by the characters of the other teams
+when its carrier dies, it stays on the ground until it returns to its base
+@class Flag
+*/
+class Flag {
+	/**
+	@constructor
+	@param {Number} team The team owning the flag
+	@param {Vec3} base The position of the base of the flag
+	@param {Object} [options] Configuration of the flag
+	@param {Number} [options.returnDelay] Time before a dropped flag returns to its base (s)
+	*/
+	constructor(team, base, options){
+		options = options || {};
+
+		// id of the flag for online identification
+		this.id = Flag.idCounter++;
+		if(!Number.isSafeInteger(Flag.idCounter)){
+			Flag.idCounter = Number.MIN_SAFE_INTEGER;
+		}
+
+		// the world in which the flag is
+		this.world = null;
+
+		this.team     = team;
+		this.base     = new CANNON.Vec3(base.x, base.y, base.z);
+		this.position = this.base.clone();
+
+		// the character carrying the flag
+		this.carrier = null;
+		this.isHome  = true;
+		// tick at which a dropped flag returns to its base (-1 if not dropped)
+		this.returnTick  = -1;
+		this.returnDelay = options.returnDelay >= 0 ?
+			options.returnDelay : Flag.RETURN_DELAY;
+	}
+
+	/**
+	Return the position of the flag
+	@method get Position
+	@return {Vec3} The position in space
+	*/
+	get Position(){
+		return this.position;
+	}
+
+	/**
+	Follow the carrier, or return to the base once the timer is over
+	@method update
+	@param {Number} tick The current tick of the world
+	*/
+	update(tick){
+		var carrier = this.carrier;
+		if(carrier !== null){
+			// the carrier died or left, the flag falls where it was
+			if(carrier.isDead || carrier.world === null) this.drop(tick);
+			else this.position.copy(carrier.Position);
+		}else if(this.returnTick > -1 && tick >= this.returnTick){
+			this.returnHome(null);
+		}
+	}
+
+	/**
+	Tell if the character is touching the flag
+	@method touches
+	@param {Character} character The character to check
+	@return {Boolean} True if the body of the character is close enough
+	*/
+	touches(character){
+		var body = character.Body;
+		if(body.aabbNeedsUpdate) body.computeAABB();
+		var lower = body.aabb.lowerBound,
+		    upper = body.aabb.upperBound,
+		    p = this.position, r = Flag.RADIUS;
+		return p.x > lower.x - r && p.x < upper.x + r &&
+		       p.y > lower.y - r && p.y < upper.y + r &&
+		       p.z > lower.z - r && p.z < upper.z + r;
+	}
+
+	/**
+	The character takes the flag
+	@method pickUp
+	@param {Character} character The new carrier
+	*/
+	pickUp(character){
+		this.carrier    = character;
+		this.isHome     = false;
+		this.returnTick = -1;
+		this._emit('pickup', character);
+	}
+
+	/**
+	The carrier lets the flag fall
+	the flag returns right away if nobody can reach it
+	@method drop
+	@param {Number} tick The current tick of the world
+	*/
+	drop(tick){
+		var carrier = this.carrier;
+		if(carrier === null) return null;
+		this.position.copy(carrier.Position);
+		this.carrier    = null;
+		this.returnTick = tick + Math.round(this.returnDelay * SERVER.fps);
+		this._emit('drop', carrier);
+		// the carrier fell out of the map or was killed by the world
+		var isLost = carrier.isDead && carrier.lastDamage === null;
+		if(isLost || this.world !== null && this.position.y < this.world.killHeight){
+			this.returnHome(null);
+		}
+	}
+
+	/**
+	The flag goes back to its base
+	@method returnHome
+	@param {Character} [character] The character who returned the flag (null for the timer)
+	*/
+	returnHome(character){
+		this._reset();
+		this._emit('return', character || null);
+	}
+
+	/**
+	The carrier brings the flag to its own base
+	@method capture
+	*/
+	capture(){
+		var carrier = this.carrier;
+		this._reset();
+		this._emit('capture', carrier);
+	}
+
+	/**
+	Read the state of the flag
+	@method getJSONFromState
+	@return {Object} State of the flag
+	*/
+	getJSONFromState(){
+		var state = 0;
+		if(this.isHome) state |= 0b1;
+		// on the ground, waiting to return
+		if(!this.isHome && this.carrier === null) state |= 0b10;
+
+		return {
+			pos : {
+				x : this.position.x,
+				y : this.position.y,
+				z : this.position.z,
+			},
+			state   : state,
+			team    : this.team,
+			// id of the carrier (-1 if null)
+			carrier : this.carrier !== null ? this.carrier.id : -1,
+		};
+	}
+
+	/**
+	Put the flag back in its base
+	@method _reset @private
+	*/
+	_reset(){
+		this.position.copy(this.base);
+		this.carrier    = null;
+		this.isHome     = true;
+		this.returnTick = -1;
+	}
+
+	/**
+	Tell the world what happened to the flag
+	@method _emit @private
+	@param {String} type The event (pickup, drop, return, capture)
+	@param {Character} character The character involved
+	*/
+	_emit(type, character){
+		if(this.world !== null) this.world.emit('flag', type, this, character);
+	}
+}
+HERSTAL.Flag = Flag;
+
+Flag.idCounter = 0;
+
+// distance from the body of a character at which the flag is touched
+Flag.RADIUS = 1;
+// default time before a dropped flag returns to its base in seconds
+Flag.RETURN_DELAY = 30;
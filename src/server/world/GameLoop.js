@@ -0,0 +1,192 @@
+/**
+Fixed timestep loop driving the simulation of a world
+@class GameLoop
+*/
+class GameLoop {
+	/**
+	@constructor
+	@param {World} world The world to simulate
+	@param {Object} [options] Configuration of the loop
+	@param {Number} [options.fps] Number of ticks per seconds
+	@param {Number} [options.maxCatchUp] Maximum number of ticks simulated in a row when the process stalls
+	*/
+	constructor(world, options){
+		options = options || {};
+
+		// the world simulated by this loop
+		this.world = world;
+
+		// duration of a tick in milliseconds
+		this.fps  = options.fps > 0 ? options.fps : SERVER.fps;
+		this.step = 1000/this.fps;
+		// we don't want to simulate hundreds of ticks after a stall
+		this.maxCatchUp = options.maxCatchUp > 0 ?
+			options.maxCatchUp : GameLoop.MAX_CATCH_UP;
+
+		// functions to call for each phase of a tick
+		this.hooks = {};
+		for(var i=0; i<GameLoop.PHASES.length; ++i){
+			this.hooks[GameLoop.PHASES[i]] = [];
+		}
+
+		// state of the loop
+		this.isRunning = false;
+		this.dropped   = 0;    // number of ticks we gave up on
+		this._timeout  = null; // timer of the next update
+		this._last     = 0;    // time of the last update
+		this._elapsed  = 0;    // time not simulated yet
+	}
+
+	/**
+	Start simulating the world
+	@method start
+	*/
+	start(){
+		// the loop can only run once
+		if(this.isRunning) return null;
+		this.isRunning = true;
+		this._last    = GameLoop.now();
+		this._elapsed = 0;
+		this._schedule(this.step);
+	}
+
+	/**
+	Stop simulating the world
+	@method stop
+	*/
+	stop(){
+		this.isRunning = false;
+		if(this._timeout !== null){
+			clearTimeout(this._timeout);
+			this._timeout = null;
+		}
+	}
+
+	/**
+	Add a function to call during a phase of each tick
+	@method addHook
+	@param {String} phase One of the GameLoop.PHASES
+	@param {Function} hook Function called with the world and the tick number
+	*/
+	addHook(phase, hook){
+		if(this.hooks[phase] == null){
+			throw new Error('"'+phase+'" is not a phase of the game loop');
+		}
+		this.hooks[phase].push(hook);
+	}
+
+	/**
+	Remove a function previously added to a phase
+	@method removeHook
+	@param {String} phase One of the GameLoop.PHASES
+	@param {Function} hook The function to remove
+	*/
+	removeHook(phase, hook){
+		var hooks = this.hooks[phase] || [];
+		var index = hooks.indexOf(hook);
+		if(index > -1) hooks.splice(index, 1);
+	}
+
+	/**
+	Simulate exactly one tick of the world
+	@method tick
+	*/
+	tick(){
+		var world = this.world;
+		// the world enters a new tick
+		++world.tick;
+		// inputs recieved from the clients are applied here
+		this._runHooks(GameLoop.PRE_INPUT);
+		// controllables react to their inputs
+		world.updateInputs();
+		// the physic engine does its job
+		this._runHooks(GameLoop.PHYSICS);
+		world.updatePhysics();
+		// fix what the physic engine could not handle
+		world.updatePostPhysics();
+		this._runHooks(GameLoop.POST_PHYSICS);
+		// the new state of the world can be sent to the clients
+		this._runHooks(GameLoop.BROADCAST);
+	}
+
+	/**
+	Call the hooks of the given phase
+	@method _runHooks @private
+	@param {String} phase The phase of the tick
+	*/
+	_runHooks(phase){
+		var hooks = this.hooks[phase];
+		for(var i=0; i<hooks.length; ++i){
+			hooks[i](this.world, this.world.tick);
+		}
+	}
+
+	/**
+	Plan the next update of the loop
+	@method _schedule @private
+	@param {Number} delay Time to wait in milliseconds
+	*/
+	_schedule(delay){
+		this._timeout = setTimeout(() => this._update(), Math.max(0, delay));
+	}
+
+	/**
+	Simulate as many ticks as the time elapsed requires
+	@method _update @private
+	*/
+	_update(){
+		this._timeout = null;
+		if(!this.isRunning) return null;
+
+		// we accumulate the time since the last update
+		var now = GameLoop.now();
+		this._elapsed += now - this._last;
+		this._last = now;
+
+		// we simulate a tick for each step elapsed
+		var ticks = 0;
+		while(this._elapsed >= this.step && ticks < this.maxCatchUp){
+			this.tick();
+			this._elapsed -= this.step;
+			++ticks;
+		}
+		// if the process stalled for too long, we give up on the late ticks
+		if(this._elapsed >= this.step){
+			this.dropped += Math.floor(this._elapsed/this.step);
+			this._elapsed %= this.step;
+		}
+
+		// a hook may have stopped the loop
+		if(this.isRunning){
+			// we wait only for what remains of the next step
+			// so timer imprecisions don't add up over time
+			this._schedule(this.step - this._elapsed);
+		}
+	}
+}
+HERSTAL.GameLoop = GameLoop;
+
+// phases of a tick, in order of execution
+GameLoop.PRE_INPUT    = "preInput";
+GameLoop.PHYSICS      = "physics";
+GameLoop.POST_PHYSICS = "postPhysics";
+GameLoop.BROADCAST    = "broadcast";
+GameLoop.PHASES = [
+	GameLoop.PRE_INPUT,
+	GameLoop.PHYSICS,
+	GameLoop.POST_PHYSICS,
+	GameLoop.BROADCAST,
+];
+
+// maximum number of ticks simulated in a single update
+GameLoop.MAX_CATCH_UP = 5;
+
+/**
+Return a precise time in milliseconds
+@method now
+@return {Number} The current time
+*/
+GameLoop.now = function(){
+	var time = process.hrtime();
+	return time[0]*1e3 + time[1]*1e-6;
+};
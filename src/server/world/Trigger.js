@@ -0,0 +1,74 @@
+/**
+Box volume of the world which detects the controllables inside it
+emits 'enter' (controllable) and 'leave' (controllable)
+@class Trigger
+*/
+class Trigger extends EVENTS.EventEmitter {
+	/**
+	@constructor
+	@param {Vec3} halfExtents Half size of the box
+	@param {Vec3} position Center of the box
+	@param {Quaternion} [quaternion] Orientation of the box
+	*/
+	constructor(halfExtents, position, quaternion){
+		super();
+
+		// the world in which the trigger is
+		this.world = null;
+
+		this.halfExtents = new CANNON.Vec3(halfExtents.x, halfExtents.y, halfExtents.z);
+		this.position    = new CANNON.Vec3(position.x, position.y, position.z);
+		this.quaternion  = quaternion ?
+			new CANNON.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w) :
+			new CANNON.Quaternion();
+		// used to bring points into the frame of the box
+		this._inverse = this.quaternion.conjugate();
+
+		// controllables currently inside the volume
+		this.inside = [];
+	}
+
+	/**
+	Tell if the point is inside the volume
+	@method contains
+	@param {Vec3} point A point in world space
+	@return {Boolean} True if the point is inside
+	*/
+	contains(point){
+		var local = this._inverse.vmult(new CANNON.Vec3(
+			point.x - this.position.x,
+			point.y - this.position.y,
+			point.z - this.position.z
+		));
+		var h = this.halfExtents;
+		return Math.abs(local.x) <= h.x &&
+		       Math.abs(local.y) <= h.y &&
+		       Math.abs(local.z) <= h.z;
+	}
+
+	/**
+	Check which controllables are inside and fire the events
+	@method update
+	@param {Array} controllables The controllables living in the world
+	*/
+	update(controllables){
+		var inside = [], i;
+		for(i=0; i<controllables.length; ++i){
+			var controllable = controllables[i],
+			    position = controllable.Position;
+			if(position && !controllable.isDead && this.contains(position)){
+				inside.push(controllable);
+			}
+		}
+		var previous = this.inside;
+		this.inside = inside;
+		// controllables which left the volume or the world
+		for(i=0; i<previous.length; ++i){
+			if(inside.indexOf(previous[i]) < 0) this.emit('leave', previous[i]);
+		}
+		for(i=0; i<inside.length; ++i){
+			if(previous.indexOf(inside[i]) < 0) this.emit('enter', inside[i]);
+		}
+	}
+}
+HERSTAL.Trigger = Trigger;
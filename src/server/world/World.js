@@ -1,33 +1,36 @@
 /**
 The world of the game
+emits 'damage' (event) when a controllable takes a DamageEvent,
+'kill' (victim, killer, event) when a character dies
+and 'flag' (type, flag, character) when something happens to a flag
 @class World
 */
-class World {
+class World extends EVENTS.EventEmitter {
 	/**
 	@constructor
+	@param {String} name The name of the map
+	@param {Object} [options] Configuration of the world
+	@param {Number} [options.fps] Number of ticks per seconds
+	@param {Number} [options.gravity] Gravity of the world
+	@param {Number} [options.maxRewind] How far back the hitboxes can be rewound (ms)
 	*/
 	constructor(name, options){
 		options = options || {};
-		this.step = 1/HERSTAL.__FPS;
+		super();
+		// duration of a tick in seconds
+		this.step = 1/(options.fps || SERVER.fps);
+		// number of ticks simulated since the creation of the world
+		this.tick = 0;
+
+		// positions of the characters for the last ticks, for lag compensation
+		this.history = {};
+		var maxRewind = options.maxRewind >= 0 ? options.maxRewind : SERVER.maxRewind;
+		this.maxRewindTicks = Math.ceil(maxRewind * 0.001 / this.step);
 
 		name = name || "level"; //name is used for the navMesh too
 		this.name = name;
 
-		this.cannonWorld = new CANNON.World();
-		this.cannonWorld.gravity.set(0, -(options.gravity || 100), 0);
-		this.cannonWorld.defaultContactMaterial.friction = 0.1;
-
-		// we add the character material to this world
-		this.cannonWorld.addContactMaterial(
-			new CANNON.ContactMaterial(
-				HERSTAL.Character.MATERIAL, WORLD.defaultMaterial, {
-					friction:    0,
-					restitution: 0,
-					contactEquationStiffness:  1e8,
-					contactEquationRelaxation:   3,
-				}
-			)
-		);
+		this.cannonWorld = MAP.createWorld(options.gravity);
 
 		// contains a list of convex shapes to define a navMesh for AIs
 		if(PATROL != null && options.navMeshPath != null){
@@ -38,31 +41,267 @@ class World {
 			});
 		}
 
-		/*
-		this.players     = [];
+		// static body of the level, built by loadMap
+		this.map = null;
+		// position and boxes of the map, sent to the clients to predict their movement
+		this.collision = null;
+		// places where the characters can appear
+		this.spawns = [];
+		// bases of the flags of the teams {position, team}
+		this.flagBases = [];
+		// capture zones of the map {halfExtents, position, quaternion}
+		this.zones = [];
+		// characters falling below this height die
+		this.killHeight = World.KILL_HEIGHT;
+
+		// elements living in the world
 		this.characters  = [];
-		this.weapons     = [];
+		this.mechas      = [];
+		this.vehicules   = [];
 		this.projectiles = [];
+		this.flags       = [];
+		this.triggers    = [];
+		/*
+		this.weapons     = [];
 		this.mapElements = [];
 		*/
 	}
 
 	/**
-	The function that must be executed 60 times per seconds
+	Load the map with the given name from the map directory
+	@method loadMap
+	@param {String} name The name of the map (file name without .json)
+	*/
+	loadMap(name){
+		this.setMap(World.readMap(name));
+		this.name = name;
+	}
+
+	/**
+	Replace the static body of the map
+	@method setMap
+	@param {Object} json Map in the format of tools/blenderToJSON.py
+	@param {Array} json.position Position of the body [x,y,z]
+	@param {Array} json.boxes Boxes of the map [[halfExtents],[offset],[quaternion]]
+	@param {Array} [json.spawns] Spawn points of the map [{position, orientation, team}]
+	@param {Number} [json.killHeight] Height below which the characters die
+	@param {Array} [json.flags] Bases of the flags of the teams [{position, team}]
+	@param {Array} [json.zones] Capture zones in world space [[halfExtents],[position],[quaternion]]
+	*/
+	setMap(json){
+		var body = MAP.createBody(json, this.cannonWorld.defaultMaterial);
+
+		var spawns = World._readSpawns(json.spawns || []),
+		    flagBases = World._readFlagBases(json.flags || []),
+		    zones = World._readZones(json.zones || []);
+
+		// a world contains only one map
+		if(this.map !== null) this.cannonWorld.removeBody(this.map);
+		this.map = body;
+		this.collision = MAP.getCollision(json);
+		this.spawns = spawns;
+		this.flagBases = flagBases;
+		this.zones = zones;
+		this.killHeight = typeof json.killHeight === "number" ?
+			json.killHeight : World.KILL_HEIGHT;
+		this.cannonWorld.addBody(body);
+	}
+
+	/**
+	Select where a character of the given team should appear
+	Spawn points far from live enemies are preferred
+	and spawn points occupied by a character are avoided
+	@method getSpawn
+	@param {Number} team The team of the character (0 for none)
+	@return {Object} The spawn point {position, orientation, team}
+	*/
+	getSpawn(team){
+		var i, spawns = [];
+		// the spawn points of the team, or open to any team
+		for(i=0; i<this.spawns.length; ++i){
+			var spawnTeam = this.spawns[i].team;
+			if(team === 0 || spawnTeam === 0 || spawnTeam === team){
+				spawns.push(this.spawns[i]);
+			}
+		}
+		// better spawn at the wrong place than not spawn at all
+		if(spawns.length === 0) spawns = this.spawns;
+		if(spawns.length === 0) return World.DEFAULT_SPAWN;
+
+		var bodies = this.characters.concat(this.mechas),
+		    safe = [], best = null, bestScore = -Infinity;
+		for(i=0; i<spawns.length; ++i){
+			var spawn = spawns[i], score = Infinity, occupied = false;
+			for(var j=0; j<bodies.length; ++j){
+				var character = bodies[j];
+				if(character.isDead) continue;
+				var position = character.Position,
+				    dx = position.x - spawn.position.x,
+				    dy = position.y - spawn.position.y,
+				    dz = position.z - spawn.position.z,
+				    distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+				// we don't want characters stuck into each other
+				if(distance < World.SPAWN_CLEARANCE) occupied = true;
+				// without teams, everyone is an enemy
+				if(team === 0 || character.team === 0 || character.team !== team){
+					score = Math.min(score, distance);
+				}
+			}
+			if(occupied) score = -1;
+			if(score >= World.SPAWN_SAFE_DISTANCE) safe.push(spawn);
+			if(score > bestScore){
+				bestScore = score;
+				best = spawn;
+			}
+		}
+		// among the safe spawn points, we pick one randomly
+		// so players cannot guess where their enemies will appear
+		if(safe.length > 0) return safe[Math.floor(Math.random() * safe.length)];
+		return best;
+	}
+
+	/**
+	Simulate a whole tick of the world
+	The GameLoop calls each part separately to run its hooks in between
+	@method update
 	*/
 	update(){
+		this.updateInputs();
+		this.updatePhysics();
+		this.updatePostPhysics();
+	}
+	/**
+	Let each element of the world react to its inputs
+	@method updateInputs
+	*/
+	updateInputs(){
+		// we iterate on copies since destroyed elements leave the lists
+		World._updateAll(this.characters .slice());
+		World._updateAll(this.mechas     .slice());
+		World._updateAll(this.vehicules  .slice());
+		World._updateAll(this.projectiles.slice());
+	}
+	/**
+	Step the physic engine of one tick
+	@method updatePhysics
+	*/
+	updatePhysics(){
+		this.cannonWorld.step(this.step);
+	}
+	/**
+	Correct the state of the world after the physic step
+	@method updatePostPhysics
+	*/
+	updatePostPhysics(){
 		var i;
-		// we update each characters
-		for(i=0; i<this.characters.length; ++i){
-			this.characters[i].update();
-		}
-		// we update the world physics
-		world.step(this.step);
 		// we update the position of the characters based on the platform he's standing on
 		for(i=0; i<this.characters.length; ++i){
 			this.characters[i].updatePlatformPosition();
 		}
+		for(i=0; i<this.mechas.length; ++i){
+			this.mechas[i].updatePlatformPosition();
+		}
+		// flags follow their carriers
+		for(i=0; i<this.flags.length; ++i){
+			this.flags[i].update(this.tick);
+		}
+		// triggers detect the controllables inside them
+		var controllables = this.characters.concat(this.mechas, this.vehicules);
+		for(i=0; i<this.triggers.length; ++i){
+			this.triggers[i].update(controllables);
+		}
+		// characters who fell off the map are killed by the world
+		var bodies = this.characters.concat(this.mechas);
+		for(i=0; i<bodies.length; ++i){
+			if(bodies[i].Position.y < this.killHeight){
+				bodies[i].lastDamage = null;
+				bodies[i].isDead = true;
+			}
+		}
+		// the positions are final, we record them
+		this.recordHistory();
+	}
+
+	/**
+	Record the position and the shape of the hitboxes of the characters for this tick
+	the shape changes when the characters crounch
+	@method recordHistory
+	*/
+	recordHistory(){
+		var records = this.history[this.tick] = [],
+		    bodies  = this.characters.concat(this.mechas);
+		for(var i=0; i<bodies.length; ++i){
+			records[i] = {
+				character: bodies[i],
+				position:  bodies[i].body.position.clone(),
+				shape:     bodies[i].getBodyShape(),
+			};
+		}
+		// we forget the ticks we cannot rewind to anymore
+		delete this.history[this.tick - this.maxRewindTicks - 1];
 	}
+
+	/**
+	Put the hitboxes of the characters back where and how they were at the given tick,
+	call the function, then restore the hitboxes to their current state
+	So a player shooting at what he sees doesn't need to lead his target
+	@method rewind
+	@param {Number} tick The tick seen by the shooter
+	@param {Function} callback The function to call in the past (raycasts)
+	@param {Controllable} [exclude] The controllable not to move (the shooter)
+	*/
+	rewind(tick, callback, exclude){
+		// we cannot go back further than the max rewind window
+		if(typeof tick === "number"){
+			tick = Math.max(tick, this.tick - this.maxRewindTicks);
+		}
+		var records = this.history[tick];
+		// nothing to rewind, we stay in the present
+		if(typeof tick !== "number" || tick >= this.tick || !records){
+			callback();
+			return null;
+		}
+		var i, character, body, current = [];
+		for(i=0; i<records.length; ++i){
+			character = records[i].character;
+			body = character.body;
+			// the character may have died since then
+			if(body.world === null || exclude && body === exclude.Body) continue;
+			current.push({
+				character: character,
+				position:  body.position.clone(),
+				shape:     character.getBodyShape(),
+			});
+			body.position.copy(records[i].position);
+			body.aabbNeedsUpdate = true;
+			character.setBodyShape(records[i].shape);
+		}
+		callback();
+		// we go back to the present
+		for(i=0; i<current.length; ++i){
+			character = current[i].character;
+			character.body.position.copy(current[i].position);
+			character.body.aabbNeedsUpdate = true;
+			character.setBodyShape(current[i].shape);
+		}
+	}
+
+	/**
+	Generate a snapshot of every element of the world
+	@method getSnapshot
+	@return {Object} The states of the elements sorted by ids
+	*/
+	getSnapshot(){
+		return {
+			tick:   this.tick,
+			chars:  World._getStates(this.characters ),
+			mechas: World._getStates(this.mechas     ),
+			vehis:  World._getStates(this.vehicules  ),
+			projs:  World._getStates(this.projectiles),
+			flags:  World._getStates(this.flags      ),
+		};
+	}
+
 	/**
 	Add the character to the list of characters
 	@method addCharacter
@@ -70,13 +309,17 @@ class World {
 	*/
 	addCharacter(character){
 		// if the object is a character
-		if(character instanceof Character){
+		if(character instanceof HERSTAL.Character){
+			// mechas are characters but are tracked separately
+			var list = character instanceof HERSTAL.Mecha ?
+				this.mechas : this.characters;
 			// we keep track of it in a list
-			// TODO this.characters.adElement(character);
-			// the character is part of this world
-			character.world = this;
-			// we add its body to the cannonWorld
-			this.cannonWorld.addBody(character.body);
+			if(World._addElement(list, character)){
+				// the character is part of this world
+				character.world = this;
+				// we add its body to the cannonWorld
+				this.cannonWorld.addBody(character.body);
+			}
 		}
 	}
 	/**
@@ -85,12 +328,248 @@ class World {
 	@param {Character} character The character to remove
 	*/
 	removeCharacter(character){
-		// TODO var index = this.characters.removElement( character );
+		var list = character instanceof HERSTAL.Mecha ?
+			this.mechas : this.characters;
 		// if the character was in the array
-		if(index > -1){
+		if(World._removeElement(list, character)){
 			character.world = null;
 			this.cannonWorld.removeBody(character.body);
 		}
 	}
+	/**
+	Add a vehicule to the world
+	@method addVehicule
+	@param {Vehicule} vehicule The vehicule to add
+	*/
+	addVehicule(vehicule){
+		if(World._addElement(this.vehicules, vehicule)){
+			vehicule.world = this;
+		}
+	}
+	/**
+	Remove a vehicule from the world
+	@method removeVehicule
+	@param {Vehicule} vehicule The vehicule to remove
+	*/
+	removeVehicule(vehicule){
+		if(World._removeElement(this.vehicules, vehicule)){
+			vehicule.world = null;
+		}
+	}
+	/**
+	Add a projectile to the world, it will be updated each tick
+	@method addProjectile
+	@param {Projectile} projectile The projectile to add
+	*/
+	addProjectile(projectile){
+		World._addElement(this.projectiles, projectile);
+	}
+	/**
+	Remove a projectile from the world
+	@method removeProjectile
+	@param {Projectile} projectile The projectile to remove
+	*/
+	removeProjectile(projectile){
+		World._removeElement(this.projectiles, projectile);
+	}
+	/**
+	Add a trigger volume to the world, it will be checked each tick
+	@method addTrigger
+	@param {Trigger} trigger The trigger to add
+	*/
+	addTrigger(trigger){
+		if(World._addElement(this.triggers, trigger)){
+			trigger.world = this;
+		}
+	}
+	/**
+	Remove a trigger volume from the world
+	@method removeTrigger
+	@param {Trigger} trigger The trigger to remove
+	*/
+	removeTrigger(trigger){
+		if(World._removeElement(this.triggers, trigger)){
+			trigger.world = null;
+		}
+	}
+	/**
+	Add a flag to the world
+	@method addFlag
+	@param {Flag} flag The flag to add
+	*/
+	addFlag(flag){
+		if(World._addElement(this.flags, flag)){
+			flag.world = this;
+		}
+	}
+	/**
+	Remove a flag from the world
+	@method removeFlag
+	@param {Flag} flag The flag to remove
+	*/
+	removeFlag(flag){
+		if(World._removeElement(this.flags, flag)){
+			flag.world = null;
+		}
+	}
 }
 HERSTAL.World = World;
+
+/**
+Read the file of the map with the given name
+@method readMap
+@param {String} name The name of the map
+@return {Object} The content of the map file
+*/
+World.readMap = function(name){
+	// names come from the command line, they must not leave the directory
+	if(typeof name !== "string" || !/^[\w\-]+$/.test(name)){
+		throw new Error('"'+name+'" is not a valid map name');
+	}
+	var path = PATH.join(SERVER.mapDir, name + ".json");
+	try{
+		return JSON.parse(FS.readFileSync(path, "utf8"));
+	}catch(e){
+		throw new Error('cannot load the map "'+name+'" from '+path+': '+e.message);
+	}
+};
+
+// spawn point used when the map doesn't define any
+World.DEFAULT_SPAWN = {
+	position:    new CANNON.Vec3(0, 0, 0),
+	orientation: 0,
+	team:        0,
+};
+// default height below which the characters die
+World.KILL_HEIGHT = -100;
+// minimal distance between a spawn point and a character to use it
+World.SPAWN_CLEARANCE = 2;
+// distance from which an enemy is not considered a threat when spawning
+World.SPAWN_SAFE_DISTANCE = 20;
+
+/**
+Check the spawn points of a map file
+@method _readSpawns @private
+@param {Array} list The spawn points {position:[x,y,z], orientation, team}
+@return {Array} The spawn points {position:Vec3, orientation, team}
+*/
+World._readSpawns = function(list){
+	if(!Array.isArray(list)) throw new Error('the spawns of the map must be an array');
+	var spawns = [];
+	for(var i=0; i<list.length; ++i){
+		var spawn = list[i];
+		if(typeof spawn !== "object" || spawn === null){
+			throw new Error('spawn '+i+' of the map must be an object');
+		}
+		var position = MAP.readVector(spawn.position, 3, 'position of spawn '+i);
+		spawns.push({
+			position:    new CANNON.Vec3(position[0], position[1], position[2]),
+			orientation: typeof spawn.orientation === "number" ? spawn.orientation : 0,
+			// spawn points without team can be used by anyone
+			team:        Number.isSafeInteger(spawn.team) ? spawn.team : 0,
+		});
+	}
+	return spawns;
+};
+
+/**
+Check the flag bases of a map file
+@method _readFlagBases @private
+@param {Array} list The flag bases {position:[x,y,z], team}
+@return {Array} The flag bases {position:Vec3, team}
+*/
+World._readFlagBases = function(list){
+	if(!Array.isArray(list)) throw new Error('the flags of the map must be an array');
+	var bases = [];
+	for(var i=0; i<list.length; ++i){
+		var base = list[i];
+		if(typeof base !== "object" || base === null){
+			throw new Error('flag '+i+' of the map must be an object');
+		}
+		if(!Number.isSafeInteger(base.team) || base.team < 1){
+			throw new Error('flag '+i+' of the map must belong to a team (from 1)');
+		}
+		var position = MAP.readVector(base.position, 3, 'position of flag '+i);
+		bases.push({
+			position: new CANNON.Vec3(position[0], position[1], position[2]),
+			team:     base.team,
+		});
+	}
+	return bases;
+};
+
+/**
+Check the capture zones of a map file
+@method _readZones @private
+@param {Array} list The zones [[halfExtents],[position],[quaternion]]
+@return {Array} The zones {halfExtents:Vec3, position:Vec3, quaternion:Quaternion}
+*/
+World._readZones = function(list){
+	if(!Array.isArray(list)) throw new Error('the zones of the map must be an array');
+	var zones = [];
+	for(var i=0; i<list.length; ++i){
+		var zone = list[i];
+		if(!Array.isArray(zone)) throw new Error('zone '+i+' of the map must be an array');
+		var size = MAP.readVector(zone[0], 3, 'half extents of zone '+i),
+		    pos  = MAP.readVector(zone[1], 3, 'position of zone '+i),
+		    rot  = MAP.readVector(zone[2] || [0,0,0,1], 4, 'orientation of zone '+i);
+		zones.push({
+			halfExtents: new CANNON.Vec3(size[0], size[1], size[2]),
+			position:    new CANNON.Vec3(pos[0], pos[1], pos[2]),
+			quaternion:  new CANNON.Quaternion(rot[0], rot[1], rot[2], rot[3]),
+		});
+	}
+	return zones;
+};
+
+/**
+Add an element to the list if it is not already in it
+@method _addElement @private
+@param {Array} list The list of elements
+@param {Object} element The element to add
+@return {Boolean} True if the element has been added
+*/
+World._addElement = function(list, element){
+	if(element == null || list.indexOf(element) > -1) return false;
+	list.push(element);
+	return true;
+};
+
+/**
+Remove an element from the list
+@method _removeElement @private
+@param {Array} list The list of elements
+@param {Object} element The element to remove
+@return {Boolean} True if the element was in the list
+*/
+World._removeElement = function(list, element){
+	var index = list.indexOf(element);
+	if(index < 0) return false;
+	list.splice(index, 1);
+	return true;
+};
+
+/**
+Call the update function of each element
+@method _updateAll @private
+@param {Array} list The list of elements
+*/
+World._updateAll = function(list){
+	for(var i=0; i<list.length; ++i){
+		list[i].update();
+	}
+};
+
+/**
+Read the state of each element
+@method _getStates @private
+@param {Array} list The list of elements
+@return {Object} The states of the elements sorted by ids
+*/
+World._getStates = function(list){
+	var states = {};
+	for(var i=0; i<list.length; ++i){
+		states[list[i].id] = list[i].getJSONFromState();
+	}
+	return states;
+};
@@ -0,0 +1,106 @@
+/**
+Damage dealt to a controllable, it keeps track of who dealt it, how and where
+Server side, the world emits 'damage' (event) for each event applied
+and 'kill' (victim, killer, event) with the event which killed the victim
+@class DamageEvent
+*/
+class DamageEvent {
+	/**
+	@constructor
+	@param {Number} amount The damage to deal
+	@param {Object} [options] Description of the damage
+	@param {String} [options.type] The kind of damage (see DamageEvent.TYPES)
+	@param {Weapon} [options.weapon] The weapon dealing the damage
+	@param {Projectile} [options.projectile] The projectile dealing the damage
+	@param {Controllable} [options.inflictor] The controllable dealing the damage without weapon (melee)
+	@param {Vec3} [options.point] The point hit in world space
+	@param {Shape} [options.shape] The shape of the body which has been hit
+	@param {String} [options.zone] The hit zone of the shape, if already applied
+	@param {Number} [options.multiplier] The multiplier of the hit zone, if already applied
+	*/
+	constructor(amount, options){
+		options = options || {};
+
+		this.amount = amount > 0 ? amount : 0;
+		this.type   = options.type || DamageEvent.WORLD;
+
+		// a projectile belongs to the weapon which fired it
+		this.projectile = options.projectile || null;
+		this.weapon     = options.weapon ||
+			(this.projectile !== null ? this.projectile.weapon : null) || null;
+		// the controllable using the weapon and its controller at the time of the hit
+		this.inflictor = this.weapon !== null ?
+			this.weapon.controllable || null : options.inflictor || null;
+		this.attacker  = this.inflictor !== null ? this.inflictor.controller : null;
+
+		// where the damage has been dealt
+		this.point = options.point ?
+			new CANNON.Vec3(options.point.x, options.point.y, options.point.z) : null;
+		this.shape = options.shape || null;
+		// zone of the shape hit and multiplier applied to the amount (see Character)
+		this.zone       = options.zone || null;
+		this.multiplier = options.multiplier > 0 ? options.multiplier : 1;
+
+		// set by the controllable taking the damage
+		this.victim  = null;
+		this.dealt   = 0;     // health lost once the armor absorbed its part
+		this.isFatal = false; // the damage killed the victim
+		// the damage has been sent back to its author (see TEAM.applyFriendlyFire)
+		this.isReflected = false;
+	}
+
+	/**
+	Return a copy of the event with another amount of damage
+	to share the damage between a vehicule and its pilot
+	@method copy
+	@param {Number} amount The damage of the copy
+	@return {DamageEvent} The new event
+	*/
+	copy(amount){
+		var event = new DamageEvent(amount, this);
+		// a copy keeps the controller responsible at the time of the hit
+		event.inflictor = this.inflictor;
+		event.attacker  = this.attacker;
+		return event;
+	}
+
+	/**
+	Tell the world the damage has been applied to the victim
+	@method apply
+	@param {Controllable} victim The controllable taking the damage
+	@param {Number} dealt The health lost by the victim
+	@param {Boolean} isFatal True if the victim is now dead
+	*/
+	apply(victim, dealt, isFatal){
+		this.victim  = victim;
+		this.dealt   = dealt;
+		this.isFatal = isFatal;
+		var world = victim.world;
+		// only the world of the server emits events
+		if(world != null && typeof world.emit === "function"){
+			world.emit('damage', this);
+		}
+	}
+}
+HERSTAL.DamageEvent = DamageEvent;
+
+// kinds of damage
+DamageEvent.BULLET    = "bullet";    // hitscan weapons
+DamageEvent.IMPACT    = "impact";    // direct hit of a projectile
+DamageEvent.EXPLOSION = "explosion"; // splash damage of a projectile
+DamageEvent.MELEE     = "melee";     // hit without weapon (see Character.melee)
+DamageEvent.WORLD     = "world";     // no one is responsible
+DamageEvent.TYPES = [
+	DamageEvent.BULLET, DamageEvent.IMPACT, DamageEvent.EXPLOSION,
+	DamageEvent.MELEE, DamageEvent.WORLD,
+];
+
+/**
+Create the event for a number of damage without any description
+@method from
+@param {Number|DamageEvent} damage The damage or an existing event
+@return {DamageEvent} The event
+*/
+DamageEvent.from = function(damage){
+	return damage instanceof DamageEvent ? damage : new DamageEvent(damage);
+};
@@ -0,0 +1,24 @@
+/*
+herstal.shared.js contains the simulation code used by both the server,
+which runs the game, and the clients, which predict their own movement
+so both are always running exactly the same code
+*/
+
+/* INIT LIBRARIES */
+
+var HERSTAL, CANNON;
+
+// the server loads this file as a node module
+if(typeof module === "object" && module.exports){
+	CANNON  = require('cannon');
+	HERSTAL = module.exports;
+// the clients load this file before herstal.client.js
+}else{
+	CANNON  = window.CANNON;
+	HERSTAL = window.HERSTAL = window.HERSTAL || {};
+}
+
+if(!CANNON) throw new Error('herstal needs CANNON.js to work');
+
+// some behaviours only make sense where the game is really played
+HERSTAL.IS_SERVER = typeof window === "undefined";
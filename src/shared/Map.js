@@ -0,0 +1,109 @@
+/**
+Build the physics of the maps
+the server and the clients use the same code so the predicted characters
+collide with the same boxes as the characters simulated by the server
+*/
+var MAP = HERSTAL.MAP = {
+
+	/**
+	Create a physics world in which the characters can move
+	@method createWorld
+	@param {Number} [gravity] Gravity of the world
+	@return {CANNON.World} The new world
+	*/
+	createWorld: function(gravity){
+		var world = new CANNON.World();
+		world.gravity.set(0, -(gravity || MAP.GRAVITY), 0);
+		world.defaultContactMaterial.friction = 0.1;
+
+		// we add the character material to this world
+		world.addContactMaterial(
+			new CANNON.ContactMaterial(
+				HERSTAL.Character.MATERIAL, world.defaultMaterial, {
+					friction:    0,
+					restitution: 0,
+					contactEquationStiffness:  1e8,
+					contactEquationRelaxation:   3,
+				}
+			)
+		);
+		return world;
+	},
+
+	/**
+	Create the static body of a map
+	@method createBody
+	@param {Object} json Map in the format of tools/blenderToJSON.py
+	@param {Array} json.position Position of the body [x,y,z]
+	@param {Array} json.boxes Boxes of the map [[halfExtents],[offset],[quaternion]]
+	@param {CANNON.Material} material The material of the map
+	@return {CANNON.Body} The body of the map
+	*/
+	createBody: function(json, material){
+		if(typeof json !== "object" || json === null){
+			throw new Error('a map must be an object');
+		}
+		if(!Array.isArray(json.boxes)){
+			throw new Error('a map must contain an array of boxes');
+		}
+		var filter = COLLISION.map;
+		var body = new CANNON.Body({
+			mass: 0, // the map doesn't move
+			type: CANNON.Body.STATIC,
+			// characters slide on the map using their own contact material
+			material: material,
+			collisionFilterGroup: filter.group,
+			collisionFilterMask:  filter.mask,
+		});
+		var position = MAP.readVector(json.position || [0,0,0], 3, 'position');
+		body.position.set(position[0], position[1], position[2]);
+
+		// each box is a shape of the body
+		for(var i=0; i<json.boxes.length; ++i){
+			var box = json.boxes[i];
+			if(!Array.isArray(box)) throw new Error('box '+i+' of the map must be an array');
+			var size = MAP.readVector(box[0], 3, 'half extents of box '+i),
+			    pos  = MAP.readVector(box[1], 3, 'offset of box '+i),
+			    rot  = MAP.readVector(box[2], 4, 'orientation of box '+i);
+			body.addShape(
+				new CANNON.Box(new CANNON.Vec3(size[0], size[1], size[2])),
+				new CANNON.Vec3(pos[0], pos[1], pos[2]),
+				new CANNON.Quaternion(rot[0], rot[1], rot[2], rot[3])
+			);
+		}
+		return body;
+	},
+
+	/**
+	Return the part of the map needed to build its body
+	@method getCollision
+	@param {Object} json Map in the format of tools/blenderToJSON.py
+	@return {Object} The position and the boxes of the map
+	*/
+	getCollision: function(json){
+		return { position: json.position || [0,0,0], boxes: json.boxes };
+	},
+
+	/**
+	Check that the array is a vector of the given size
+	@method readVector
+	@param {Array} array The array to check
+	@param {Number} size The number of components expected
+	@param {String} what What the vector is, for the error message
+	@return {Array} The array
+	*/
+	readVector: function(array, size, what){
+		if(!Array.isArray(array) || array.length !== size){
+			throw new Error('the '+what+' must be an array of '+size+' numbers');
+		}
+		for(var i=0; i<size; ++i){
+			if(typeof array[i] !== "number" || !isFinite(array[i])){
+				throw new Error('the '+what+' must be an array of '+size+' numbers');
+			}
+		}
+		return array;
+	},
+};
+
+// default gravity of the worlds
+MAP.GRAVITY = 100;
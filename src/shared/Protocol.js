@@ -0,0 +1,421 @@
+/**
+Binary encoding of the messages exchanged by the server and the clients
+The same schema is included in both builds so they always agree
+*/
+var PROTOCOL = HERSTAL.PROTOCOL = {
+	// version of the encoding, must match on both sides
+	VERSION: 8,
+
+	// types of messages
+	INPUTS: 1,
+	STATES: 2,
+
+	// value written when a tick is not set (-1)
+	NO_TICK: 0xFFFFFFFF,
+
+	// precision of the quantized values
+	POS_SCALE:  1024, // positions are sent in 1/1024 of units
+	VEL_SCALE:    32, // velocities are sent in 1/32 of units per seconds
+
+	// categories of elements in a snapshot
+	CATEGORIES: ["chars", "mechas", "vehis", "projs", "flags"],
+
+	// fields of the header of the states (16 fields max)
+	HEADER_FIELDS: [
+		{ name: "tick",   type: "tick"   }, // tick of the snapshot
+		{ name: "base",   type: "tick"   }, // tick of the base of the delta
+		{ name: "seq",    type: "tick"   }, // last inputs applied
+		{ name: "char",   type: "id"     }, // character of the player
+		{ name: "spec",   type: "id"     }, // character followed by a dead player
+		{ name: "ammo",   type: "uint16" }, // magazine of the weapon of the player
+		{ name: "reserve", type: "uint16" }, // ammo left besides the magazine
+	],
+
+	// fields of the state of the elements (16 fields max)
+	STATE_FIELDS: [
+		{ name: "orient", type: "angle2" },
+		{ name: "pos",    type: "pos3"   },
+		{ name: "vel",    type: "vel3"   },
+		{ name: "quat",   type: "quat"   },
+		{ name: "state",  type: "uint8"  },
+		{ name: "weap",   type: "int8"   },
+		{ name: "pilot",  type: "id"     },
+		{ name: "carrier", type: "id"    }, // character carrying a flag
+		{ name: "team",   type: "uint8"  },
+		{ name: "wstate", type: "uint8"  }, // state of the weapon (see Weapon.STATES and NO_STATE)
+		{ name: "height", type: "length" }, // half height of the body of a character (crounching)
+		{ name: "jump",   type: "uint8"  }, // jump timer of a character
+	],
+
+	// fields of the inputs of the players (16 fields max)
+	INPUT_FIELDS: [
+		{ name: "ack",    type: "tick"   },
+		{ name: "orient", type: "angle2" },
+		{ name: "move",   type: "axis2"  },
+		{ name: "inputs", type: "uint8"  },
+		{ name: "weap",   type: "int8"   },
+		{ name: "seq",    type: "tick"   },
+		{ name: "view",   type: "tick"   }, // tick displayed by the client
+	],
+
+	/**
+	Encode the states sent by the server (full snapshot or delta)
+	@method encodeStates
+	@param {Object} message The snapshot or delta generated by NETWORK
+	@return {ArrayBuffer} The binary message
+	*/
+	encodeStates: function(message){
+		var cats = PROTOCOL.CATEGORIES,
+		    removed = message.removed || {},
+		    fields  = PROTOCOL.STATE_FIELDS,
+		    size = 2 + PROTOCOL._sizeOf(PROTOCOL.HEADER_FIELDS, message),
+		    i, id, list, ids;
+
+		// first we need to know the size of the message
+		for(i=0; i<cats.length; ++i){
+			list = message[cats[i]] || {};
+			size += 2; // number of states
+			for(id in list){
+				size += 8 + PROTOCOL._sizeOf(fields, list[id]);
+			}
+			ids = removed[cats[i]] || [];
+			size += 2 + 8 * ids.length;
+		}
+
+		var view = new DataView(new ArrayBuffer(size)),
+		    offset = PROTOCOL._writeHeader(view, PROTOCOL.STATES);
+		// only a delta has a base snapshot
+		offset = PROTOCOL._writeRecord(view, offset, PROTOCOL.HEADER_FIELDS, message);
+
+		for(i=0; i<cats.length; ++i){
+			list = message[cats[i]] || {};
+			// we write the number of states, then the states
+			var count = Object.keys(list).length;
+			view.setUint16(offset, count);
+			offset += 2;
+			for(id in list){
+				PROTOCOL.TYPES.id.write(view, offset, +id);
+				offset = PROTOCOL._writeRecord(view, offset+8, fields, list[id]);
+			}
+			// then we write the ids of the removed elements
+			ids = removed[cats[i]] || [];
+			view.setUint16(offset, ids.length);
+			offset += 2;
+			for(var j=0; j<ids.length; ++j){
+				PROTOCOL.TYPES.id.write(view, offset, ids[j]);
+				offset += 8;
+			}
+		}
+		return view.buffer;
+	},
+
+	/**
+	Decode the states sent by the server
+	@method decodeStates
+	@param {ArrayBuffer} data The binary message
+	@return {Object} The snapshot or delta, as generated by NETWORK
+	*/
+	decodeStates: function(data){
+		var view = PROTOCOL._toDataView(data),
+		    offset = PROTOCOL._readHeader(view, PROTOCOL.STATES),
+		    fields = PROTOCOL.STATE_FIELDS,
+		    cats   = PROTOCOL.CATEGORIES;
+
+		var message = {};
+		offset = PROTOCOL._readRecord(view, offset, PROTOCOL.HEADER_FIELDS, message);
+
+		for(var i=0; i<cats.length; ++i){
+			var list = message[cats[i]] = {},
+			    count = view.getUint16(offset);
+			offset += 2;
+			for(var j=0; j<count; ++j){
+				var id = PROTOCOL.TYPES.id.read(view, offset),
+				    state = list[id] = {};
+				offset = PROTOCOL._readRecord(view, offset+8, fields, state);
+			}
+			count = view.getUint16(offset);
+			offset += 2;
+			if(count > 0){
+				message.removed = message.removed || {};
+				var ids = message.removed[cats[i]] = [];
+				for(var k=0; k<count; ++k){
+					ids[k] = PROTOCOL.TYPES.id.read(view, offset);
+					offset += 8;
+				}
+			}
+		}
+		return message;
+	},
+
+	/**
+	Encode the inputs sent by a client
+	@method encodeInputs
+	@param {Object} inputs The inputs, as read by Player.setInputFromJSON
+	@return {ArrayBuffer} The binary message
+	*/
+	encodeInputs: function(inputs){
+		var fields = PROTOCOL.INPUT_FIELDS,
+		    size = 2 + PROTOCOL._sizeOf(fields, inputs);
+		var view = new DataView(new ArrayBuffer(size));
+		var offset = PROTOCOL._writeHeader(view, PROTOCOL.INPUTS);
+		PROTOCOL._writeRecord(view, offset, fields, inputs);
+		return view.buffer;
+	},
+
+	/**
+	Decode the inputs sent by a client
+	@method decodeInputs
+	@param {ArrayBuffer} data The binary message
+	@return {Object} The inputs, as read by Player.setInputFromJSON
+	*/
+	decodeInputs: function(data){
+		var view = PROTOCOL._toDataView(data),
+		    offset = PROTOCOL._readHeader(view, PROTOCOL.INPUTS),
+		    inputs = {};
+		PROTOCOL._readRecord(view, offset, PROTOCOL.INPUT_FIELDS, inputs);
+		return inputs;
+	},
+
+	/**
+	Return true if the data recieved is a binary message
+	@method isBinary
+	@param {Object} data The data recieved from a socket
+	@return {Boolean} True if the data must be decoded
+	*/
+	isBinary: function(data){
+		return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+	},
+
+	/**
+	Return the number of bytes needed to write the record
+	@method _sizeOf @private
+	@param {Array} fields The fields of the record
+	@param {Object} record The object to write
+	@return {Number} The size of the record
+	*/
+	_sizeOf: function(fields, record){
+		var size = 2; // mask of the fields present
+		for(var i=0; i<fields.length; ++i){
+			if(record[fields[i].name] !== undefined){
+				size += PROTOCOL.TYPES[fields[i].type].size;
+			}
+		}
+		return size;
+	},
+
+	/**
+	Write the fields present in the record preceded by their mask
+	@method _writeRecord @private
+	@return {Number} The offset after the record
+	*/
+	_writeRecord: function(view, offset, fields, record){
+		var mask = 0, start = offset;
+		offset += 2;
+		for(var i=0; i<fields.length; ++i){
+			var value = record[fields[i].name];
+			if(value !== undefined){
+				var type = PROTOCOL.TYPES[fields[i].type];
+				type.write(view, offset, value);
+				offset += type.size;
+				mask |= 1 << i;
+			}
+		}
+		view.setUint16(start, mask);
+		return offset;
+	},
+
+	/**
+	Read the fields present in the record according to their mask
+	@method _readRecord @private
+	@return {Number} The offset after the record
+	*/
+	_readRecord: function(view, offset, fields, record){
+		var mask = view.getUint16(offset);
+		offset += 2;
+		for(var i=0; i<fields.length; ++i){
+			if(mask & (1 << i)){
+				var type = PROTOCOL.TYPES[fields[i].type];
+				record[fields[i].name] = type.read(view, offset);
+				offset += type.size;
+			}
+		}
+		return offset;
+	},
+
+	/**
+	@method _writeHeader @private
+	@return {Number} The offset after the header
+	*/
+	_writeHeader: function(view, type){
+		view.setUint8(0, PROTOCOL.VERSION);
+		view.setUint8(1, type);
+		return 2;
+	},
+
+	/**
+	@method _readHeader @private
+	@return {Number} The offset after the header
+	*/
+	_readHeader: function(view, type){
+		var version = view.getUint8(0);
+		if(version !== PROTOCOL.VERSION){
+			throw new Error('unsupported protocol version '+version+
+				' (expected '+PROTOCOL.VERSION+')');
+		}
+		if(view.getUint8(1) !== type){
+			throw new Error('unexpected message type '+view.getUint8(1));
+		}
+		return 2;
+	},
+
+	/**
+	Create a DataView from an ArrayBuffer or a Buffer (on node)
+	@method _toDataView @private
+	*/
+	_toDataView: function(data){
+		if(data instanceof ArrayBuffer) return new DataView(data);
+		if(ArrayBuffer.isView(data)){
+			return new DataView(data.buffer, data.byteOffset, data.byteLength);
+		}
+		throw new Error('binary message expected');
+	},
+};
+
+/**
+Keep the value in the interval of the integer type
+@method _clamp @private
+*/
+PROTOCOL._clamp = function(value, max){
+	value = Math.round(value);
+	return value > max ? max : value < -max ? -max : value;
+};
+
+// how to write and read each type of field
+PROTOCOL.TYPES = {
+	uint8: {
+		size: 1,
+		write: function(view, o, v){ view.setUint8(o, v); },
+		read:  function(view, o){ return view.getUint8(o); },
+	},
+	// null is written as 0xFFFF
+	uint16: {
+		size: 2,
+		write: function(view, o, v){
+			view.setUint16(o, v == null ? 0xFFFF : Math.min(v, 0xFFFE));
+		},
+		read: function(view, o){
+			var v = view.getUint16(o);
+			return v === 0xFFFF ? null : v;
+		},
+	},
+	// null is written as -128
+	int8: {
+		size: 1,
+		write: function(view, o, v){ view.setInt8(o, v == null ? -128 : v); },
+		read:  function(view, o){
+			var v = view.getInt8(o);
+			return v === -128 ? null : v;
+		},
+	},
+	// ids are safe integers, only a float64 can hold them
+	id: {
+		size: 8,
+		write: function(view, o, v){ view.setFloat64(o, v); },
+		read:  function(view, o){ return view.getFloat64(o); },
+	},
+	// -1 is written as NO_TICK
+	tick: {
+		size: 4,
+		write: function(view, o, v){
+			view.setUint32(o, v < 0 ? PROTOCOL.NO_TICK : v);
+		},
+		read: function(view, o){
+			var v = view.getUint32(o);
+			return v === PROTOCOL.NO_TICK ? -1 : v;
+		},
+	},
+	// angles within [-2PI, 2PI]
+	angle2: {
+		size: 4,
+		write: function(view, o, v){
+			var s = 0x7FFF / Math.PI2;
+			view.setInt16(o  , PROTOCOL._clamp(v.x * s, 0x7FFF));
+			view.setInt16(o+2, PROTOCOL._clamp(v.y * s, 0x7FFF));
+		},
+		read: function(view, o){
+			var s = Math.PI2 / 0x7FFF;
+			return { x: view.getInt16(o) * s, y: view.getInt16(o+2) * s };
+		},
+	},
+	// movement axis within [-1, 1]
+	axis2: {
+		size: 2,
+		write: function(view, o, v){
+			view.setInt8(o  , PROTOCOL._clamp(v.x * 0x7F, 0x7F));
+			view.setInt8(o+1, PROTOCOL._clamp(v.y * 0x7F, 0x7F));
+		},
+		read: function(view, o){
+			return { x: view.getInt8(o) / 0x7F, y: view.getInt8(o+1) / 0x7F };
+		},
+	},
+	// lengths within [0, 64[ in the precision of the positions
+	length: {
+		size: 2,
+		write: function(view, o, v){
+			view.setUint16(o, Math.min(Math.round(v * PROTOCOL.POS_SCALE), 0xFFFF));
+		},
+		read: function(view, o){ return view.getUint16(o) / PROTOCOL.POS_SCALE; },
+	},
+	pos3: {
+		size: 12,
+		write: function(view, o, v){
+			var s = PROTOCOL.POS_SCALE, max = 0x7FFFFFFF;
+			view.setInt32(o  , PROTOCOL._clamp(v.x * s, max));
+			view.setInt32(o+4, PROTOCOL._clamp(v.y * s, max));
+			view.setInt32(o+8, PROTOCOL._clamp(v.z * s, max));
+		},
+		read: function(view, o){
+			var s = PROTOCOL.POS_SCALE;
+			return {
+				x: view.getInt32(o  ) / s,
+				y: view.getInt32(o+4) / s,
+				z: view.getInt32(o+8) / s,
+			};
+		},
+	},
+	vel3: {
+		size: 6,
+		write: function(view, o, v){
+			var s = PROTOCOL.VEL_SCALE;
+			view.setInt16(o  , PROTOCOL._clamp(v.x * s, 0x7FFF));
+			view.setInt16(o+2, PROTOCOL._clamp(v.y * s, 0x7FFF));
+			view.setInt16(o+4, PROTOCOL._clamp(v.z * s, 0x7FFF));
+		},
+		read: function(view, o){
+			var s = PROTOCOL.VEL_SCALE;
+			return {
+				x: view.getInt16(o  ) / s,
+				y: view.getInt16(o+2) / s,
+				z: view.getInt16(o+4) / s,
+			};
+		},
+	},
+	// components of a normalized quaternion within [-1, 1]
+	quat: {
+		size: 8,
+		write: function(view, o, v){
+			view.setInt16(o  , PROTOCOL._clamp(v.x * 0x7FFF, 0x7FFF));
+			view.setInt16(o+2, PROTOCOL._clamp(v.y * 0x7FFF, 0x7FFF));
+			view.setInt16(o+4, PROTOCOL._clamp(v.z * 0x7FFF, 0x7FFF));
+			view.setInt16(o+6, PROTOCOL._clamp(v.w * 0x7FFF, 0x7FFF));
+		},
+		read: function(view, o){
+			return {
+				x: view.getInt16(o  ) / 0x7FFF,
+				y: view.getInt16(o+2) / 0x7FFF,
+				z: view.getInt16(o+4) / 0x7FFF,
+				w: view.getInt16(o+6) / 0x7FFF,
+			};
+		},
+	},
+};
@@ -0,0 +1,96 @@
+/**
+Store collisions group and mask for each team
+collision if : (A.group & B.mask) && (B.group & A.mask)
+*/
+// collision is accessible to be able to redefine
+// collision filters and add more teams
+var COLLISION = HERSTAL.COLLISION = [
+	{ group: 0b000010, mask: 0b111111 }, // NONE
+	{ group: 0b000100, mask: 0b111011 }, // TEAM 1
+	{ group: 0b001000, mask: 0b110111 }, // TEAM 2
+	{ group: 0b010000, mask: 0b101111 }, // TEAM 3
+	{ group: 0b100000, mask: 0b011111 }, // TEAM 4
+];
+COLLISION.map =
+  { group: 0b000001, mask: 0b111110 }; // MAP
+
+/**
+Manage teams
+*/
+var TEAM = HERSTAL.TEAM = {
+	// damage policy between teammates, set by the server
+	friendlyFire: {
+		mode:  "off", // see TEAM.FRIENDLY_FIRE
+		ratio: 0.5,   // part of the damage dealt to teammates in reduced mode
+		self:  1,     // part of the damage dealt to oneself (rocket jumps)
+	},
+
+	/**
+	@method getCollisionFilter
+	@param {Number} id The id of the team (0 for NONE)
+	*/
+	getCollisionFilter: function(id){
+		// if id is out of bound
+		if( id < 0 || COLLISION.length <= id ){
+			id = 0; // we reset id
+		}
+		// we return the filter associated with this team
+		return COLLISION[id];
+	},
+
+	/**
+	Return the filter used by the weapons of a team
+	shots go through teammates unless friendly fire is enabled
+	@method getWeaponFilter
+	@param {Number} id The id of the team (0 for NONE)
+	*/
+	getWeaponFilter: function(id){
+		var filter = TEAM.getCollisionFilter(id);
+		if(TEAM.friendlyFire.mode === "off") return filter;
+		// teammates ignore their own group, the shots use the group of NONE
+		return { group: COLLISION[0].group, mask: filter.mask | filter.group };
+	},
+
+	/**
+	@method isFriendly
+	@param {Number} a The id of a team
+	@param {Number} b The id of another team
+	@return {Boolean} True if both are the same team (NONE has no teammates)
+	*/
+	isFriendly: function(a, b){
+		return a > 0 && a === b;
+	},
+
+	/**
+	Apply the friendly fire policy to the damage before the victim takes it
+	@method applyFriendlyFire
+	@param {DamageEvent} event The damage dealt
+	@param {Controllable} victim The controllable taking the damage
+	@return {Boolean} True if some damage is left for the victim
+	*/
+	applyFriendlyFire: function(event, victim){
+		var inflictor = event.inflictor, policy = TEAM.friendlyFire;
+		// damage sent back to its author is not filtered twice
+		if(inflictor === null || event.isReflected) return event.amount > 0;
+		if(inflictor === victim || event.attacker !== null && event.attacker === victim.controller){
+			event.amount *= policy.self;
+		}else if(TEAM.isFriendly(inflictor.team, victim.team)){
+			switch(policy.mode){
+				case "on": break;
+				case "reduced": event.amount *= policy.ratio; break;
+				case "reflect":
+					// the attacker takes the damage instead of its teammate
+					var reflected = event.copy(event.amount);
+					reflected.isReflected = true;
+					event.amount = 0;
+					if(!inflictor.isDead) inflictor.addDamage(reflected);
+					break;
+				default: event.amount = 0; // off
+			}
+		}
+		return event.amount > 0;
+	},
+};
+
+// friendly fire policies
+TEAM.FRIENDLY_FIRE = ["off", "on", "reduced", "reflect"];
@@ -43,7 +43,7 @@ CANNON.Body.idFix = function(){
 	}
 };
 
-UTIL = {
+var UTIL = HERSTAL.UTIL = {
 	/**
 	Return true if the given object is a 2D Vector
 	@method isVector2
@@ -52,7 +52,7 @@ UTIL = {
 	*/
 	isVector2: function(v){
 		if(typeof v === "object" && v !== null){
-			return typeof v.x === typeof v.y === "number";
+			return typeof v.x === "number" && typeof v.y === "number";
 		}
 		return false;
 	},
@@ -64,7 +64,8 @@ UTIL = {
 	*/
 	isVector3: function(v){
 		if(typeof v === "object" && v !== null){
-			return typeof v.x === typeof v.y === typeof v.z === "number";
+			return typeof v.x === "number" && typeof v.y === "number" &&
+				typeof v.z === "number";
 		}
 		return false;
 	},
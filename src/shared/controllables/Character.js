@@ -32,6 +32,12 @@ class Character extends HERSTAL.Controllable{
 	@param {Number} [options.filterGroup] Override the character filterGroup
 	@param {Number} [options.filterMask]  Override the character filterMask
 	@param {Boolean} [options.noHead]     Tells if the head part should have the isHead property
+	@param {Object}  [options.damageMultipliers] Multipliers of the direct hits sorted by hit zones
+	@param {Number}  [options.meleeDamage]    Damage of the melee attack
+	@param {Number}  [options.meleeRange]     Reach of the melee attack
+	@param {Number}  [options.meleeKnockback] Force at which the target is propelled back by the melee attack
+	@param {Number}  [options.meleeCooldown]  Time between two melee attacks (s)
+	@param {Number}  [options.backstabMultiplier] Multiplier of the melee attacks from behind
 	*/
 	constructor(controller, position, orientation, weapons, options){
 		options = options || {};
@@ -49,6 +55,8 @@ class Character extends HERSTAL.Controllable{
 		this.weapons = weapons || [];
 		// if weapon array is null, currentWeapon is null
 		this.currentWeapon = this.weapons.length>0 ? 0 : null;
+		// weapon drawn once the current one is put away (null if none)
+		this.nextWeapon = null;
 
 		// status of the character
 		this.health     = options.health    || 100;
@@ -56,7 +64,19 @@ class Character extends HERSTAL.Controllable{
 		this.armor      = options.armor;
 		this.maxArmor   = options.maxArmor;
 		this.isDead     = false; // the character is not dead yet
+		this.lastDamage = null; // last DamageEvent which hurt us (null if none)
+		// direct hits deal more or less damage depending on the shape hit
+		this.damageMultipliers = Object.assign({},
+			this.constructor.DAMAGE_MULTIPLIERS, options.damageMultipliers);
 		this.inVehicule = false; // the character is not in a vehicule
+		// melee attack, whatever the weapon held
+		this.meleeDamage    = options.meleeDamage    >= 0 ? options.meleeDamage    : Character.MELEE_DAMAGE;
+		this.meleeRange     = options.meleeRange     >  0 ? options.meleeRange     : Character.MELEE_RANGE;
+		this.meleeKnockback = options.meleeKnockback >= 0 ? options.meleeKnockback : Character.MELEE_KNOCKBACK;
+		this.meleeCooldown  = options.meleeCooldown  >= 0 ? options.meleeCooldown  : Character.MELEE_COOLDOWN;
+		this.backstabMultiplier = options.backstabMultiplier >= 0 ?
+			options.backstabMultiplier : Character.BACKSTAB_MULTIPLIER;
+		this.meleeTimer = 0; // time before the next melee attack (s)
 		// movement of the character
 		this.moveSpeed    = options.moveSpeed    || 20;
 		this.crounchSpeed = options.crounchSpeed || 10;
@@ -65,14 +85,14 @@ class Character extends HERSTAL.Controllable{
 		// we set the dimensions of the character
 		var hw = options.headWidth, hh = options.headHeight,
 		    fw = options.fullWidth, fh = options.fullHeight,
-		    bw = options.bodyWitdh, bh = options.bodyHeight,
+		    bw = options.bodyWidth, bh = options.bodyHeight,
 			fc = options.fullCrounched, bc = options.bodyCrounched;
 		// if no dimensions are set, we use the default values
 		hw = hw > 0 ? hw : 0.6;
 		hh = hh > 0 ? hh : 0.4;
 		// is full height setted ?
 		if(fh > 0) fh -= hh;
-		if(hc > 0) fc -= hh;
+		if(fc > 0) fc -= hh;
 		// either use body or full dimensions
 		bw = bw || fw;
 		bh = bh || fh;
@@ -88,12 +108,13 @@ class Character extends HERSTAL.Controllable{
 		this.bodyHeight    = bh;
 		this.bodyCrounched = bc;
 		// we store vertices for ground and ceiling check
+		var hbw = 0.5*bw; // at the corners of the body
 		this.vertices = [
-			{ x:   0, z:   0 },
-			{ x:  bw, z:  bw },
-			{ x:  bw, z: -bw },
-			{ x: -bw, z:  bw },
-			{ x: -bw, z: -bw }
+			new CANNON.Vec3(   0, 0,    0),
+			new CANNON.Vec3( hbw, 0,  hbw),
+			new CANNON.Vec3( hbw, 0, -hbw),
+			new CANNON.Vec3(-hbw, 0,  hbw),
+			new CANNON.Vec3(-hbw, 0, -hbw),
 		];
 		// mass of the character
 		var mass = options.mass || 10;
@@ -108,17 +129,18 @@ class Character extends HERSTAL.Controllable{
 		// state of the character
 		this.isGounded   = false;
 		this.isCrounched = false;
+		this.isJumping   = false; // rising after a jump
 		// jump timer gives a time interval in which the character can jump
 		this.jumpTimer = 0;
 		// contains the information about the platform we are standing on
 		this.platform = null; // only requiered for moving platforms
 
 		// relative position of the shapes of the character
-		var head_pos = { x: 0, z: 0, y:  0.5 * hh };
-		var body_pos = { x: 0, z: 0, y: -0.5 * bh };
+		var head_pos = new CANNON.Vec3(0,  0.5 * hh, 0);
+		var body_pos = new CANNON.Vec3(0, -0.5 * bh, 0);
 		// shapes of the character
-		var head_shape = new CANNON.Box({ x: hw, y: hh, z: hw });
-		var body_shape = new CANNON.Box({ x: bw, y: bh, z: bw });
+		var head_shape = new CANNON.Box(new CANNON.Vec3(0.5*hw, 0.5*hh, 0.5*hw));
+		var body_shape = new CANNON.Box(new CANNON.Vec3(0.5*bw, 0.5*bh, 0.5*bw));
 		var filter = TEAM.getCollisionFilter(this.team);
 
 		// we create the body collider of the character
@@ -139,6 +161,9 @@ class Character extends HERSTAL.Controllable{
 		// we add more information to the bodies
 		this.body.controllable = this; // a reference to the character
 		if(!options.noHead) head_shape.isHead = true; // this shape is the head
+		// zones used to select the damage multipliers
+		body_shape.hitZone = Character.BODY;
+		head_shape.hitZone = options.noHead ? Character.BODY : Character.HEAD;
 	}
 
 	/* SETTER GETTER */
@@ -196,7 +221,7 @@ class Character extends HERSTAL.Controllable{
 			var inputs = this.controller.inputs || null;
 			if(inputs !== null){
 				// where the character is looking at ?
-				this.setLook(inputs.orientation);
+				if(inputs.orientation) this.setLook(inputs.orientation);
 				// is the character on the ground ?
 				this.updateGround();
 				// in which direction the character is moving, is he jumping ?
@@ -205,8 +230,11 @@ class Character extends HERSTAL.Controllable{
 				this.updateCrounch(inputs.crounch);
 				// if the character is on a platform, we should record it's position
 				this.updatePlatform();
-				// we update the weapon the character is holding
-				this.setWeapon(inputs.weapon);
+				// the attacks only happen where the game is really played
+				if(HERSTAL.IS_SERVER){
+					this.updateMelee(inputs);
+					this.updateWeapon(inputs);
+				}
 			}
 		}
 		// if the character is dead
@@ -254,7 +282,7 @@ class Character extends HERSTAL.Controllable{
 
 		// we need the angle on the x axis (horizontal plane)
 		var theta = this.orientation.x;
-		var speed = this.isCrounched ? this.crounchedSpeed : this.moveSpeed;
+		var speed = this.isCrounched ? this.crounchSpeed : this.moveSpeed;
 
 		// we create a new velocity vector
 		var velocity = {
@@ -277,6 +305,7 @@ class Character extends HERSTAL.Controllable{
 				this.jumpTimer = 0;
 				// we apply a vertical velocity
 				velocity.y = this.jumpForce;
+				this.isJumping = true;
 			}
 		}else{
 			// in the air, the new velocity is influenced by the old one
@@ -286,7 +315,9 @@ class Character extends HERSTAL.Controllable{
 			velocity.x *= 0.5;
 			velocity.z *= 0.5;
 		}
-		this.body.velocity = velocity;
+		// the jump ends when the character stops rising
+		if(velocity.y <= 0) this.isJumping = false;
+		this.body.velocity.set(velocity.x, velocity.y, velocity.z);
 	}
 	/**
 	Function to know if the character is on the ground or not
@@ -295,21 +326,22 @@ class Character extends HERSTAL.Controllable{
 		// we reset the state of the character
 		this.isGrounded = false;
 		// we try each vertices we have defined for characters
-		for( var i=0; i<this.dimensions.vertices.length; ++i ){
+		for( var i=0; i<this.vertices.length; ++i ){
 
 			// for each vertice, we move it from local to global coords
-			var vert = this.body.vadd( this.dimensions.vertices[i] );
-			// we put the vertice at the base of the body shape
-			vert.y -= this.body.shapes[0].halfExtents.y * 2; // shape 0 is body
+			var vert = this.body.position.vadd( this.vertices[i] );
+			// we put the vertice just above the base of the body shape
+			// so the ray doesn't start inside the ground
+			vert.y -= this.body.shapes[0].halfExtents.y * 2 - 0.1; // shape 0 is body
 
 			// we recover the result of the contact with the ground
-			var result = Character.checkCollision(this.body.world, vert, -0.1);
+			var result = Character.checkCollision(this.body.world, vert, -0.2);
 			if(result.hasHit){
 
 				// the angle between the surface normal and the vector up
 				var angle = result.hitNormalWorld.getAngle(CANNON.Vec3.UNIT_Y);
 				// if the ground on which the character stand is not too steep
-				if( angle < Character.STEEP_SLOPE ){
+				if( angle < Character.STEEP_SLOPE * Math.DEG2RAD ){
 
 					// we are on a ground
 					this.isGrounded = true;
@@ -318,8 +350,8 @@ class Character extends HERSTAL.Controllable{
 
 						// did we changed of platform ?
 						var hasChanged = false;
-						if(!platform) hasChanged = true;
-						else if(platform.body !== result.body) hasChanged = true;
+						if(!this.platform) hasChanged = true;
+						else if(this.platform.body !== result.body) hasChanged = true;
 						// if the platform has changed
 						if(hasChanged){
 							// we need to update the platform
@@ -347,7 +379,7 @@ class Character extends HERSTAL.Controllable{
 		if(p){ // if the character is standing on a platform
 
 			// we calculate the movement of the platform since the last update
-			var newGlobalPos = p.pointToWorldFrame(p.localPos);
+			var newGlobalPos = p.body.pointToWorldFrame(p.localPos);
 			var translation  = newGlobalPos.vsub(p.globalPos);
 			// we apply the movement to the player
 			this.body.position = this.body.position.vadd(translation);
@@ -389,10 +421,10 @@ class Character extends HERSTAL.Controllable{
 		}else if(this.isCrounched){
 			// we try each vertices we have defined for characters
 			// as long as canGetUp is not false
-			for( var i=0; i<this.dimensions.vertices.length && canGetUp; ++i ){
+			for( var i=0; i<this.vertices.length && canGetUp; ++i ){
 
 				// for each vertice, we move it from local to global coords
-				var vert = this.body.vadd( this.dimensions.vertices[i] );
+				var vert = this.body.position.vadd( this.vertices[i] );
 				// we put the vertice at the top of the head shape
 				vert.y += this.headHeight;
 
@@ -402,51 +434,231 @@ class Character extends HERSTAL.Controllable{
 			}
 		}
 
-		// we recover the shape and the offset
-		var shape  = this.body.shapes[0];
-		var offset = this.body.shapeOffsets[0];
+		// we recover the size and the offset of the shape
+		var size = this.getBodyShape();
 		var inc = Character.CROUNCH_INCREMENT;
 		var h;
 		// if the character can stand up
 		if(canGetUp){
 			// as long as we are not fully standing up
-			if( shape.halfExtents.y*2 < this.bodyHeight ){
+			if( size.halfHeight*2 < this.bodyHeight ){
 				// we increase the size of the shape
-				shape.halfExtents.y += inc*2;
+				size.halfHeight += inc*2;
 				// we bring the shape closer to the the origin
-				offset.y -= inc;
+				size.offset -= inc;
 
 				// if we have a shape bigger than expected
-				if( shape.halfExtents.y*2 >= this.bodyHeight ){
+				if( size.halfHeight*2 >= this.bodyHeight ){
 					h = this.bodyHeight * 0.5;
 					// we cap the values
-					shape.halfExtents.y = h;
-					offset.y = -h;
+					size.halfHeight = h;
+					size.offset = -h;
 					// the character is no longer crounched
 					this.isCrounched = false;
 				}
+				this.setBodyShape(size);
 			}
 		}else{ // cannot stand up
 			// as long as we are not fully crounched
-			if( shape.halfExtents.y*2 > this.bodyCrounched ){
+			if( size.halfHeight*2 > this.bodyCrounched ){
 				// we decrease the size of the shape
-				shape.halfExtents.y -= inc*2;
+				size.halfHeight -= inc*2;
 				// we put the shape farther from the origin
-				offset.y += inc;
+				size.offset += inc;
 
 				// if we have a shape smaller than expected
-				if( shape.halfExtents.y*2 < this.bodyCrounched ){
+				if( size.halfHeight*2 < this.bodyCrounched ){
 					h = this.bodyCrounched * 0.5;
 					// we cap the values
-					shape.halfExtents.y = h;
-					offset.y = -h;
+					size.halfHeight = h;
+					size.offset = -h;
 				}
+				this.setBodyShape(size);
 			}
 		}
 	}
 
+	/**
+	Return the size of the body shape, which changes when crounching
+	@method getBodyShape
+	@return {Object} The half height and the vertical offset of the shape
+	*/
+	getBodyShape(){
+		return {
+			halfHeight: this.body.shapes[0].halfExtents.y,
+			offset:     this.body.shapeOffsets[0].y,
+		};
+	}
+
+	/**
+	Resize the body shape
+	@method setBodyShape
+	@param {Object} size The half height and the vertical offset of the shape
+	*/
+	setBodyShape(size){
+		var shape = this.body.shapes[0], offset = this.body.shapeOffsets[0];
+		if(shape.halfExtents.y === size.halfHeight && offset.y === size.offset) return null;
+		shape.halfExtents.y = size.halfHeight;
+		offset.y = size.offset;
+		// rays are tested against the convex representation of the box
+		shape.updateConvexPolyhedronRepresentation();
+		shape.updateBoundingSphereRadius();
+		this.body.updateBoundingRadius();
+		this.body.aabbNeedsUpdate = true;
+	}
+
+	/**
+	Return the weapon held by the character
+	@method getWeapon
+	@return {Weapon} The current weapon (null if none)
+	*/
+	getWeapon(){
+		return this.currentWeapon !== null ? this.weapons[this.currentWeapon] || null : null;
+	}
+
+	/**
+	Switch and fire the weapons of the character
+	@method updateWeapon
+	@param {Object} inputs The inputs of the controller
+	*/
+	updateWeapon(inputs){
+		if(this.world === null) return null;
+		// does the player want another weapon ?
+		this.setWeapon(inputs.weapon);
+		var weapon = this.getWeapon();
+		if(weapon !== null) weapon.update(inputs, this.world.step);
+		// the new weapon is drawn once the current one is put away
+		if(this.nextWeapon !== null && (weapon === null || weapon.isHolstered())){
+			this.currentWeapon = this.nextWeapon;
+			this.nextWeapon    = null;
+			this.getWeapon().draw();
+		}
+	}
+
+	/**
+	Attack in melee if the player asks for it and the last attack is over
+	@method updateMelee
+	@param {Object} inputs The inputs of the controller
+	*/
+	updateMelee(inputs){
+		if(this.world === null) return null;
+		if(this.meleeTimer > 0) this.meleeTimer -= this.world.step;
+		if(inputs.melee && this.meleeTimer <= HERSTAL.Weapon.EPSILON) this.melee();
+	}
+
+	/**
+	Hit what stands right in front of the character
+	rays are swept horizontally to cover the area in front of the character
+	@method melee
+	*/
+	melee(){
+		this.meleeTimer = this.meleeCooldown;
+		// the weapon can't be used during the attack
+		var weapon = this.getWeapon();
+		if(weapon !== null) weapon.interrupt(this.meleeCooldown);
+
+		// the rays hit what the weapons of the team hit
+		var filter = TEAM.getWeaponFilter(this.team);
+		var options = {
+			mode: CANNON.Ray.CLOSEST,
+			skipBackfaces: true,
+			collisionFilterGroup: filter.group,
+			collisionFilterMask:  filter.mask,
+		};
+		// the character must not hit itself
+		var mask = this.body.collisionFilterMask;
+		this.body.collisionFilterMask = 0;
+		// like shots, the attack hits the targets where the player saw them
+		var inputs = this.controller !== null ? this.controller.inputs : null,
+		    hits = [];
+		if(typeof this.world.rewind === "function"){
+			this.world.rewind(inputs ? inputs.view : null, () => {
+				this._sweepMelee(options, hits);
+			}, this);
+		}else{
+			this._sweepMelee(options, hits);
+		}
+		this.body.collisionFilterMask = mask;
+
+		for(var i=0; i<hits.length; ++i) this._hitMelee(hits[i]);
+	}
+
+	/**
+	Return true if the character stands behind the target
+	@method isBehind
+	@param {Controllable} target The controllable attacked
+	@return {Boolean} True if both are facing the same direction
+	*/
+	isBehind(target){
+		var orientation = target.Orientation;
+		if(!UTIL.isVector2(orientation)) return false;
+		// we only compare the horizontal directions
+		var a = UTIL.getForwardFromAngles({ x: this.orientation.x, y: 0 }),
+		    b = UTIL.getForwardFromAngles({ x: orientation.x, y: 0 });
+		return a.dot(b) > Math.cos(Character.BACKSTAB_ANGLE * Math.DEG2RAD);
+	}
+
+	/**
+	Cast the rays of the melee attack and collect the controllables hit
+	@method _sweepMelee @private
+	@param {Object} options The options of the raycasts
+	@param {Array} hits The list to fill with the hits
+	*/
+	_sweepMelee(options, hits){
+		var from  = this.body.position,
+		    count = Character.MELEE_RAYS,
+		    angle = Character.MELEE_ANGLE * Math.DEG2RAD,
+		    targets = []; // controllables already hit
+		for(var i=0; i<count; ++i){
+			// the rays are spread around the direction the character is facing
+			var offset = count > 1 ? (i / (count-1) - 0.5) * angle : 0;
+			var direction = UTIL.getForwardFromAngles({
+				x: this.orientation.x + offset,
+				y: this.orientation.y,
+			});
+			direction.normalize();
+			var ray = new CANNON.Ray(from, from.vadd(direction.scale(this.meleeRange)));
+			if(!ray.intersectWorld(this.world.cannonWorld, options)) continue;
+
+			var body = ray.result.body, target = body.controllable;
+			// each controllable is only hit once
+			if(target == null || targets.indexOf(target) > -1) continue;
+			targets.push(target);
+			hits.push({
+				target:    target,
+				body:      body,
+				shape:     ray.result.shape,
+				point:     ray.result.hitPointWorld.clone(),
+				direction: direction,
+			});
+		}
+	}
+
+	/**
+	Apply the damage and the knockback of the melee attack
+	@method _hitMelee @private
+	@param {Object} hit The hit found by _sweepMelee
+	*/
+	_hitMelee(hit){
+		if(this.meleeKnockback > 0 && hit.body.type === CANNON.Body.DYNAMIC){
+			hit.body.applyImpulse(hit.direction.scale(this.meleeKnockback), hit.point);
+		}
+		var damage = this.meleeDamage;
+		// an attack from behind deals more damage
+		if(this.isBehind(hit.target)) damage *= this.backstabMultiplier;
+		if(damage > 0){
+			hit.target.addDamage(new HERSTAL.DamageEvent(damage, {
+				type:      HERSTAL.DamageEvent.MELEE,
+				inflictor: this,
+				point:     hit.point,
+				shape:     hit.shape,
+			}));
+		}
+	}
+
 	/**
 	Set the weapon used by the character
+	the current weapon is put away first, then the new one is drawn
 	@method setWeapon
 	@param {Number} index The index of the weapon to switch to
 	(or -1 for previous, -2 for next)
@@ -456,6 +668,8 @@ class Character extends HERSTAL.Controllable{
 		// or we haven't specified a weapon to switch to
 		// there is nothing to do
 		if(this.weapons.length === 0 || typeof index !== "number") return null;
+		// we are already switching weapons
+		if(this.nextWeapon !== null) return null;
 		// what will be the new weapon of the player ?
 		var newWeap = this.currentWeapon;
 		// if index is positive
@@ -480,18 +694,29 @@ class Character extends HERSTAL.Controllable{
 			}
 		}
 
-		// we call the necessary functions to update the display in HERSTAL client
-
-		// we can store the new weapon as the current weapon now
-		this.currentWeapon = newWeap;
+		// the weapon is already in hand
+		if(newWeap === this.currentWeapon) return null;
+		// we put the current weapon away, updateWeapon will draw the new one
+		this.nextWeapon = newWeap;
+		var weapon = this.getWeapon();
+		if(weapon !== null) weapon.holster();
 	}
 
 	/**
 	Add damages to the character
 	@method addDamage
-	@param {Number} damage The damage to deal
+	@param {Number|DamageEvent} event The damage to deal
 	*/
-	addDamage(damage){
+	addDamage(event){
+		event = HERSTAL.DamageEvent.from(event);
+		// a dead character can't die twice
+		if(this.isDead) return null;
+		this.applyHitZone(event);
+		// the rules between teammates decide how much damage goes through
+		if(!HERSTAL.TEAM.applyFriendlyFire(event, this)) return null;
+		var damage = event.amount;
+		// the last damage is credited with the kill
+		if(damage > 0) this.lastDamage = event;
 		// if the character as some armor
 		if( this.armor > 0 ){
 			var armorDamage = damage * Character.ARMOR_PROTECTION;
@@ -507,6 +732,31 @@ class Character extends HERSTAL.Controllable{
 		this.health -= damage;
 		// if health reach 0, the character is dead
 		if(this.health <= 0) this.isDead = true;
+		event.apply(this, damage, this.isDead);
+	}
+
+	/**
+	Scale the damage of a direct hit with the multiplier of the zone hit
+	the event is only scaled once, even if it is shared with a pilot
+	@method applyHitZone
+	@param {DamageEvent} event The damage to scale
+	*/
+	applyHitZone(event){
+		// splash damage hits the whole body
+		if(event.zone !== null || event.shape === null ||
+			event.type === HERSTAL.DamageEvent.EXPLOSION) return null;
+		// rays report the convex representation of the boxes they hit
+		// and the shape may belong to the vehicule of the character
+		var shapes = this.body.shapes, shape = null;
+		for(var i=0; i<shapes.length; ++i){
+			if(shapes[i] === event.shape ||
+				shapes[i].convexPolyhedronRepresentation === event.shape) shape = shapes[i];
+		}
+		if(shape === null || shape.hitZone == null) return null;
+		var multiplier = this.damageMultipliers[shape.hitZone];
+		event.zone       = shape.hitZone;
+		event.multiplier = multiplier >= 0 ? multiplier : 1;
+		event.amount    *= event.multiplier;
 	}
 
 	/**
@@ -540,10 +790,23 @@ class Character extends HERSTAL.Controllable{
 	@method die
 	*/
 	die(){
-		// we remove the body from the world
-		this.world.removeBody(this.body);
-		// we unlink the character from the player
-		this.player.character = null;
+		// we remove the character from the world
+		var world = this.world;
+		if(world !== null){
+			world.removeCharacter(this);
+			// the rules of the game may depend on it
+			if(typeof world.emit === "function"){
+				var damage = this.lastDamage;
+				world.emit('kill', this, damage !== null ? damage.inflictor : null, damage);
+			}
+		}
+		// we unlink the character from its controller
+		var controller = this.controller;
+		if(controller !== null && controller.controllable === this){
+			controller.controllable = null;
+			// the controller may want to come back (respawn)
+			if(typeof controller.onDeath === "function") controller.onDeath(this);
+		}
 		// we keep track of the body to generate the corpse client side
 	}
 
@@ -553,9 +816,16 @@ class Character extends HERSTAL.Controllable{
 	@return {Object} State of the character
 	*/
 	getJSONFromState(){
-		var state = 0;
+		var state = 0, weapon = this.getWeapon();
 		if(this.isGrounded)  state |=  0b1;
 		if(this.isCrounched) state |= 0b10;
+		if(this.isJumping)   state |= 0b100;
+		if(weapon !== null){
+			if(weapon.state === HERSTAL.Weapon.FIRING)    state |=    0b1000;
+			if(weapon.state === HERSTAL.Weapon.RELOADING) state |=   0b10000;
+			if(weapon.isZoomed)                           state |=  0b100000;
+		}
+		if(this.meleeTimer > 0)                         state |= 0b1000000;
 
 		return {
 			orient : {
@@ -574,19 +844,76 @@ class Character extends HERSTAL.Controllable{
 			},
 			state : state,
 			weap  : this.currentWeapon,
+			// the clients animate the weapon with its state
+			wstate: weapon !== null ? HERSTAL.Weapon.STATES.indexOf(weapon.state) : HERSTAL.Weapon.NO_STATE,
+			// the predicting client restores them before replaying its inputs
+			height: this.getBodyShape().halfHeight,
+			jump  : this.jumpTimer,
 		};
 	}
 
 }
 HERSTAL.Character = Character;
 
+// hit zones of the shapes of the character
+Character.BODY = "body";
+Character.HEAD = "head";
+// default multipliers of the damage of direct hits sorted by hit zones
+Character.DAMAGE_MULTIPLIERS = {
+	body: 1,
+	head: 2,
+};
+
 // id to assign to newly created character
 // go from 0 to Number.MAX_SAFE_INTEGER
-Character.idCount = 0;
+Character.idCounter = 0;
 
 // we create a new material for the characters
 Character.MATERIAL = new CANNON.Material("character");
 
+// order of the buttons in the inputs bitfield
+Character.INPUT_BITS = [
+	"jump", "crounch", "fire1", "fire2", "use", "reload", "melee", "zoom",
+];
+
+/**
+Convert the inputs sent over the network into the inputs read by Character.update
+Used by the server and by the client to predict the movement the same way
+@method readInputs
+@param {Object} inputs Inputs loaded from JSON
+@param {Vec2}   [inputs.orient] Orientation of the character
+@param {Vec2}   [inputs.move] Movement of the character
+@param {Number} [inputs.inputs] Array of bits, see Character.INPUT_BITS
+@param {Number} [inputs.weap] Weapon selection
+@param {Number} [inputs.seq] Sequence number of the inputs
+@param {Number} [inputs.view] Tick displayed by the client when the inputs were pressed
+@return {Object} The inputs of the controller
+*/
+Character.readInputs = function(inputs){
+	var result = {};
+	if(UTIL.isVector2(inputs.orient)){
+		result.orientation = { x: inputs.orient.x, y: inputs.orient.y };
+	}
+	if(UTIL.isVector2(inputs.move)){
+		result.movement = { x: inputs.move.x, y: inputs.move.y };
+	}
+	if(typeof inputs.inputs === "number"){
+		for(var i=0; i<Character.INPUT_BITS.length; ++i){
+			result[Character.INPUT_BITS[i]] = !!(inputs.inputs & (1 << i));
+		}
+	}
+	if(typeof inputs.weap === "number"){
+		result.weapon = inputs.weap;
+	}
+	if(Number.isSafeInteger(inputs.seq)){
+		result.seq = inputs.seq;
+	}
+	if(Number.isSafeInteger(inputs.view)){
+		result.view = inputs.view;
+	}
+	return result;
+};
+
 /**
 cast rays from the given vertice with a length of padding
 @method checkCollision
@@ -597,20 +924,33 @@ cast rays from the given vertice with a length of padding
 Character.checkCollision = function( world, vertice, padding = 0.1 ){
 	// we create the starting and ending points of the rays
 	var from = new CANNON.Vec3( vertice.x, vertice.y, vertice.z );
-	var to   = from.vadd({y: padding});
+	var to   = from.vadd(new CANNON.Vec3(0, padding, 0));
 	var ray  = new CANNON.Ray( from, to );
 
 	// we check collision with the world
 	ray.intersectWorld(world, {
-		mode: Ray.CLOSEST,
+		mode: CANNON.Ray.CLOSEST,
 		skipBackfaces: true,
-		collisionFilterGroup: 0b1,
-		collisionFilterMask:  0b1
+		// the map doesn't collide with itself, so we cannot use its group
+		collisionFilterGroup: HERSTAL.COLLISION[0].group,
+		collisionFilterMask:  HERSTAL.COLLISION.map.group,
 	});
 	// we return the results rather than just hasHit
 	return ray.result;
 };
 
+// default configuration of the melee attack
+Character.MELEE_DAMAGE        = 50;
+Character.MELEE_RANGE         = 2;
+Character.MELEE_KNOCKBACK     = 20;
+Character.MELEE_COOLDOWN      = 0.8; // seconds
+Character.BACKSTAB_MULTIPLIER = 3;
+// area covered by the melee attack
+Character.MELEE_ANGLE    = 60; // horizontal angle of the sweep in degrees
+Character.MELEE_RAYS     = 5;  // number of rays cast in the sweep
+// maximum angle between the directions of the attacker and the target for a backstab
+Character.BACKSTAB_ANGLE = 60;
+
 // attributes of the character
 Character.ARMOR_PROTECTION  = 2/3 ; // number of hit taken by the armor
 Character.JUMP_TIMER        = 10  ; // time before registering jumps
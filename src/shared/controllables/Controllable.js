@@ -68,8 +68,10 @@ class Controllable{
 
 	/**
 	To implement: addDamage to controllable
+	@param {Number|DamageEvent} event The damage to deal
 	*/
-	addDamage(damage){}
+	addDamage(event){}
 
 }
 HERSTAL.Controllable = Controllable;
+
@@ -64,7 +64,7 @@ class Grenade extends HERSTAL.Projectile {
 		CANNON.Body.idFix();
 
 		// we add the body to the world
-		this.world.addBody(this.body);
+		this.world.cannonWorld.addBody(this.body);
 
 		//-- cannot use that because the grenade would collide with it's own character
 		// we add an event to detect new collisions
@@ -94,7 +94,7 @@ class Grenade extends HERSTAL.Projectile {
 		this.body.collisionFilterMask = 0;            // we disable all collisions
 
 		// cast the ray
-		var hasHit = ray.intersectWorld(this.world, this._raycastOpt);
+		var hasHit = ray.intersectWorld(this.world.cannonWorld, this._raycastOpt);
 
 		// restore collisions for the controllable and the grenade's body
 		controllable.FilterMask       = contMask;
@@ -102,10 +102,15 @@ class Grenade extends HERSTAL.Projectile {
 
 		// if we hit something
 		if(hasHit){
-			var controllable = ray.result.body.controllable;
-			if(character != null){
+			var target = ray.result.body.controllable;
+			if(target != null){
 				// apply direct hit damage
-				controllable.addDamage(this.damage);
+				target.addDamage(new HERSTAL.DamageEvent(this.damage, {
+					type:       HERSTAL.DamageEvent.IMPACT,
+					projectile: this,
+					point:      ray.result.hitPointWorld,
+					shape:      ray.result.shape,
+				}));
 				// and make the grenade explode
 				this.isDestroyed = true;
 			}
@@ -138,7 +143,7 @@ class Grenade extends HERSTAL.Projectile {
 	*/
 	destroy(){
 		// we need to remove the grenade from the world
-		this.world.removeBody(this.body);
+		this.world.cannonWorld.removeBody(this.body);
 		// we can then destroy it
 		super.destroy();
 	}
@@ -47,6 +47,11 @@ class Projectile {
 			collisionFilterGroup: options.filterGroup || weapon.filterGroup,
 			collisionFilterMask:  options.filterMask  || weapon.filterMask,
 		};
+		// the explosion always reaches the one who fired (rocket jumps)
+		this._ownerRaycastOpt = Object.assign({}, this._raycastOpt, {
+			collisionFilterGroup: COLLISION[0].group,
+			collisionFilterMask:  COLLISION[0].mask,
+		});
 	}
 
 	/**
@@ -76,6 +81,29 @@ class Projectile {
 	*/
 	get Orientation(){}
 
+	/**
+	Read the position and orientation of the projectile
+	@method getJSONFromState
+	@return {Object} State of the projectile
+	*/
+	getJSONFromState(){
+		var pos  = this.Position,
+				quat = this.Orientation;
+		return {
+			pos : {
+				x : pos.x,
+				y : pos.y,
+				z : pos.z,
+			},
+			quat : {
+				x : quat.x,
+				y : quat.y,
+				z : quat.z,
+				w : quat.w,
+			},
+		};
+	}
+
 	/**
 	Destroy the projectile
 	@method destroy
@@ -92,6 +120,8 @@ class Projectile {
 				this._explodeOnBody(bodies[i]);
 			}
 		}
+		// the projectile is no longer part of the world
+		this.world.removeProjectile(this);
 	}
 
 	/**
@@ -107,13 +137,17 @@ class Projectile {
 					p2 = body.position;
 
 			// if the body is within blast radius
-			var direction = p1.vsub(p2);
-			var sqrDistance  = direction.sqrLength();
+			// the body is pushed away from the explosion
+			var direction = p2.vsub(p1);
+			var sqrDistance  = direction.lengthSquared();
 			if(sqrDistance < this.sqrRadius){
 
 				// we check if the body is not behind a wall
 				var ray = new CANNON.Ray(p1, p2);
-				ray.intersectWorld(this.world, this._raycastOpt);
+				var isOwner = body.controllable != null &&
+					body.controllable === this.weapon.controllable;
+				ray.intersectWorld(this.world.cannonWorld,
+					isOwner ? this._ownerRaycastOpt : this._raycastOpt);
 
 				// if the body is exposed to the explosion
 				if(body === ray.result.body){
@@ -130,10 +164,15 @@ class Projectile {
 					if(this.explDamage > 0 && body.controllable != null){
 						// full damage at explosion point
 						// less damage at perifery
-						var dmg = Math.sqrt(
-							this.sqrRadius - sqrDistance/this.sqrRadius
+						var dmg = this.explDamage * (
+							1 - Math.sqrt(sqrDistance/this.sqrRadius)
 						);
-						body.controllable.addDamage(dmg);
+						body.controllable.addDamage(new HERSTAL.DamageEvent(dmg, {
+							type:       HERSTAL.DamageEvent.EXPLOSION,
+							projectile: this,
+							point:      ray.result.hitPointWorld,
+							shape:      ray.result.shape,
+						}));
 					}
 				}
 
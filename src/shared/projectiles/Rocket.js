@@ -19,13 +19,14 @@ class Rocket extends HERSTAL.Projectile {
 		// call projectile constructor
 		super(weapon, options);
 
-		// starting position and orientation of the projectile
-		this.position = position;
-
 		// we need the speed of the projectile
 		var speed = options.speed || 20;
 		this.direction = UTIL.getForwardFromAngles(orientation).scale(speed);
 
+		// starting position of the projectile, out of the body of the shooter
+		// (the position given may be the live position of the shooter)
+		this.position = position.vadd(this.direction.unit().scale(Rocket.SPAWN_DISTANCE));
+
 		// special behavior:
 		// set the knockback force on direct hit (only applied on characters)
 		this.knockback = options.knockback || null;
@@ -49,17 +50,20 @@ class Rocket extends HERSTAL.Projectile {
 		var cont = this.weapon.controllable; // we recover the controllable
 		var mask = cont.FilterMask;          // we store its default mask
 		cont.FilterMask = 0;                 // we disable all collisions
-		var hasHit = ray.intersectWorld(this.world, this._raycastOpt);
+		var hasHit = ray.intersectWorld(this.world.cannonWorld, this._raycastOpt);
 		cont.FilterMask = mask;              // we restore collisions
 
+		// does the projectile keep going forward ?
+		var goesForward = !hasHit;
+
 		// if we hit something
 		if(hasHit){
 			// we recover the body hit by our raycast
 			var body = ray.result.body;
 
 			// if knockback is set and the body is dynamic
-			if(typeof this.knockback === "number"
-				&& body.type === CANNON.Body.DYNAMIC)
+			if(typeof this.knockback === "number" &&
+				body.type === CANNON.Body.DYNAMIC)
 			{
 				// knockback force to apply to the body
 				var force = this.direction.unit().scale(this.knockback);
@@ -70,10 +74,16 @@ class Rocket extends HERSTAL.Projectile {
 			// if the body is linked to a character
 			if(body.controllable != null){
 				// apply direct hit damage to the character
-				body.controllable.addDamage(this.damage);
+				body.controllable.addDamage(new HERSTAL.DamageEvent(this.damage, {
+					type:       HERSTAL.DamageEvent.IMPACT,
+					projectile: this,
+					point:      ray.result.hitPointWorld,
+					shape:      ray.result.shape,
+				}));
 				// if piercing shots, the projectile is not
 				// destroyed  when passing through characters
 				if(!this.isPiercing) this.isDestroyed = true;
+				else goesForward = true;
 
 			}else{ // the body is environemental
 				// can be reflected by walls
@@ -85,11 +95,15 @@ class Rocket extends HERSTAL.Projectile {
 						this.direction
 					);
 					// put the projectile at the position of impact
-					this.position = ray.result.hitPointWorld;
+					this.position.copy(ray.result.hitPointWorld);
 				}else // cannot be reflected by walls
 					this.isDestroyed = true;
 			}
 		}
+		// nothing stopped the projectile, it moves forward
+		if(goesForward) this.position.copy(dest);
+		// else it explodes at the position of impact
+		else if(this.isDestroyed) this.position.copy(ray.result.hitPointWorld);
 		// apply default behavior
 		super.update();
 	}
@@ -113,3 +127,6 @@ class Rocket extends HERSTAL.Projectile {
 	}
 }
 HERSTAL.Rocket = Rocket;
+
+// distance in front of the shooter at which the rockets appear
+Rocket.SPAWN_DISTANCE = 1;
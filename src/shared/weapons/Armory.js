@@ -0,0 +1,277 @@
+/**
+Catalogue of the weapons of the game, defined in a JSON file
+The server loads the file and sends the definitions to the clients,
+so both sides know the same weapons under the same names
+The file contains { "weapons": [definition, ...] }, see weapons.json, for example:
+{
+	"name": "shotgun", "class": "Shotgun", "model": "shotgun",
+	"damage": 10, "firerate": 1.5, "spread": 5, "pellets": 8,
+	"magazine": 6, "reserve": 24, "reloadTime": 0.5, "reloadPerShell": true
+}
+the fields available are listed in ARMORY.FIELDS
+*/
+var ARMORY = HERSTAL.ARMORY = {
+	// definitions of the weapons sorted by names
+	definitions: {},
+	// names of the weapons in the order of the file
+	names: [],
+
+	/**
+	Replace the catalogue, nothing changes if a definition is invalid
+	@method setDefinitions
+	@param {Object|Array} json The content of the file or its list of weapons
+	*/
+	setDefinitions: function(json){
+		var list = ARMORY.validate(json), definitions = {}, names = [];
+		for(var i=0; i<list.length; ++i){
+			definitions[list[i].name] = list[i];
+			names.push(list[i].name);
+		}
+		ARMORY.definitions = definitions;
+		ARMORY.names       = names;
+	},
+
+	/**
+	Return the definitions in the order of the file, to send them to the clients
+	@method getDefinitions
+	@return {Array} The definitions of the weapons
+	*/
+	getDefinitions: function(){
+		return ARMORY.names.map(function(name){ return ARMORY.definitions[name]; });
+	},
+
+	/**
+	Check the definitions and throw an error describing the first mistake found
+	@method validate
+	@param {Object|Array} json The content of the file or its list of weapons
+	@return {Array} The definitions of the weapons
+	*/
+	validate: function(json){
+		var list = Array.isArray(json) ? json :
+			typeof json === "object" && json !== null ? json.weapons : null;
+		if(!Array.isArray(list)){
+			throw new Error('the weapons must be defined in an array called "weapons"');
+		}
+		var names = {};
+		for(var i=0; i<list.length; ++i){
+			ARMORY._validateWeapon(list[i], i);
+			if(names[list[i].name]){
+				throw new Error('weapon '+i+': the name "'+list[i].name+'" is already used');
+			}
+			names[list[i].name] = true;
+		}
+		return list;
+	},
+
+	/**
+	Create a weapon from its definition
+	@method create
+	@param {String} name The name of the weapon in the catalogue
+	@param {Controllable} controllable The controllable holding the weapon
+	@return {Weapon} The new weapon
+	*/
+	create: function(name, controllable){
+		var def = ARMORY.definitions[name];
+		if(def == null) throw new Error('"'+name+'" is not a weapon of the catalogue');
+
+		var clz = HERSTAL[def.class], options = ARMORY._getOptions(def);
+		// only launchers need to know their projectiles
+		if(def.class === "Launcher"){
+			return new clz(def.name, controllable, options,
+				ARMORY._getProjectile(def.projectile),
+				ARMORY._getProjectile(def.altProjectile));
+		}
+		return new clz(def.name, controllable, options);
+	},
+
+	/**
+	Create every weapon of the catalogue
+	@method createAll
+	@param {Controllable} controllable The controllable holding the weapons
+	@return {Array} The new weapons
+	*/
+	createAll: function(controllable){
+		return ARMORY.names.map(function(name){ return ARMORY.create(name, controllable); });
+	},
+
+	/**
+	@method _validateWeapon @private
+	@param {Object} def The definition of a weapon
+	@param {Number} index The index of the definition in the file
+	*/
+	_validateWeapon: function(def, index){
+		if(typeof def !== "object" || def === null || Array.isArray(def)){
+			throw new Error('weapon '+index+' must be an object');
+		}
+		var where = typeof def.name === "string" ?
+			'weapon "'+def.name+'"' : 'weapon '+index;
+		var fields = {}, i, field;
+		for(i=0; i<ARMORY.FIELDS.length; ++i){
+			field = ARMORY.FIELDS[i];
+			fields[field.name] = field;
+			if(field.required && def[field.name] == null){
+				throw new Error(where+': the field "'+field.name+'" is required');
+			}
+		}
+		for(var key in def){
+			field = fields[key];
+			// a typo would silently use the default value
+			if(field == null){
+				throw new Error(where+': unknown field "'+key+'", the fields available are ' +
+					Object.keys(fields).join(", "));
+			}
+			if(field.classes && field.classes.indexOf(def.class) < 0){
+				throw new Error(where+': the field "'+key+'" only applies to ' +
+					field.classes.join(", "));
+			}
+			var error = ARMORY.TYPES[field.type](def[key]);
+			if(error !== null) throw new Error(where+': "'+key+'" '+error);
+		}
+		// without spread, every pellet would follow the same ray
+		var hasSpread = def.pattern != null || def.spread > 0 ||
+			def.spread == null && def.class === "Shotgun"; // shotguns spread by default
+		if(def.pellets > 1 && !hasSpread){
+			throw new Error(where+': "pellets" needs a "spread" or a "pattern" to scatter the pellets');
+		}
+	},
+
+	/**
+	Convert the definition into the options of the constructors
+	@method _getOptions @private
+	@param {Object} def The definition of a weapon
+	@return {Object} The options of the weapon
+	*/
+	_getOptions: function(def){
+		var options = {};
+		for(var i=0; i<ARMORY.FIELDS.length; ++i){
+			var field = ARMORY.FIELDS[i];
+			if(field.option && def[field.name] != null){
+				options[field.option] = def[field.name];
+			}
+		}
+		if(def.acquired === false) options.notAcquired = true;
+		// the spread is given in degrees
+		if(def.spread != null) options.spreadAmount = def.spread * Math.DEG2RAD;
+		if(def.spread > 0 || def.pattern != null) options.hasSpread = true;
+		return options;
+	},
+
+	/**
+	@method _getProjectile @private
+	@param {Object} def The definition of a projectile
+	@return {Object} The configuration of the projectiles read by Launcher
+	*/
+	_getProjectile: function(def){
+		if(def == null) return null;
+		return {
+			classUsed: def.class != null ? HERSTAL[def.class] : null,
+			options:   def.options || {},
+		};
+	},
+};
+
+// classes which can be used in the definitions
+ARMORY.CLASSES     = ["Rifle", "Shotgun", "Launcher"];
+ARMORY.PROJECTILES = ["Rocket", "Grenade"];
+
+// fields of the definitions, with the option of the constructors they set
+ARMORY.FIELDS = [
+	{ name: "name",           type: "string",    required: true },
+	{ name: "class",          type: "class",     required: true },
+	{ name: "model",          type: "string"    }, // model displayed by the clients
+	{ name: "acquired",       type: "boolean"   }, // false if it must be picked up
+	{ name: "damage",         type: "number",    option: "damage"      },
+	{ name: "firerate",       type: "positive",  option: "firerate"    },
+	{ name: "recoil",         type: "real",      option: "recoilForce" },
+	{ name: "magazine",       type: "integer",   option: "maxAmmo"     },
+	{ name: "ammo",           type: "number",    option: "ammo"        },
+	{ name: "reserve",        type: "number",    option: "reserve"     },
+	{ name: "maxReserve",     type: "number",    option: "maxReserve"  },
+	{ name: "reloadTime",     type: "number",    option: "reloadTime"  },
+	{ name: "reloadPerShell", type: "boolean",   option: "reloadPerShell" },
+	{ name: "switchTime",     type: "number",    option: "switchTime"  },
+	{ name: "secondary",      type: "secondary", option: "secondary"   },
+	{ name: "burstCount",     type: "integer",   option: "burstCount"  },
+	{ name: "burstRate",      type: "positive",  option: "burstRate"   },
+	{ name: "chargeTime",     type: "positive",  option: "chargeTime"  },
+	{ name: "maxCharge",      type: "positive",  option: "maxCharge"   },
+	// raycasting weapons only
+	{ name: "range",      type: "positive", option: "maxDistance",     classes: ["Rifle", "Shotgun"] },
+	{ name: "spread",     type: "number",   /* set in degrees */       classes: ["Rifle", "Shotgun"] },
+	{ name: "pellets",    type: "integer",  option: "numberOfPellets", classes: ["Rifle", "Shotgun"] },
+	{ name: "pattern",    type: "pattern",  option: "fixedSpread",     classes: ["Rifle", "Shotgun"] },
+	{ name: "knockback",  type: "real",     option: "knockback",       classes: ["Rifle", "Shotgun"] },
+	{ name: "zoom",       type: "positive", option: "zoom",            classes: ["Rifle", "Shotgun"] },
+	{ name: "zoomSpread", type: "number",   option: "zoomSpread",      classes: ["Rifle", "Shotgun"] },
+	// projectiles based weapons only
+	{ name: "projectile",    type: "projectile", classes: ["Launcher"] },
+	{ name: "altProjectile", type: "projectile", classes: ["Launcher"] },
+];
+
+// check the value of each type of field, return the error (null if valid)
+ARMORY.TYPES = {
+	string: function(v){
+		return typeof v === "string" && v.length > 0 ? null : "must be a non empty string";
+	},
+	boolean: function(v){
+		return typeof v === "boolean" ? null : "must be true or false";
+	},
+	real: function(v){
+		return typeof v === "number" && isFinite(v) ? null : "must be a number";
+	},
+	number: function(v){
+		return typeof v === "number" && v >= 0 && isFinite(v) ? null : "must be a number >= 0";
+	},
+	positive: function(v){
+		return typeof v === "number" && v > 0 && isFinite(v) ? null : "must be a number > 0";
+	},
+	integer: function(v){
+		return Number.isSafeInteger(v) && v > 0 ? null : "must be an integer > 0";
+	},
+	class: function(v){
+		return ARMORY.CLASSES.indexOf(v) > -1 ? null :
+			"must be one of "+ARMORY.CLASSES.join(", ");
+	},
+	secondary: function(v){
+		var modes = HERSTAL.Weapon.SECONDARY_MODES;
+		return modes.indexOf(v) > -1 ? null : "must be one of "+modes.join(", ");
+	},
+	// spread angles [{t, p}] or offsets [{x, y}] at the maximum distance
+	pattern: function(v){
+		if(!Array.isArray(v) || v.length === 0) return "must be a non empty array";
+		for(var i=0; i<v.length; ++i){
+			var c = v[i];
+			var isValid = typeof c === "object" && c !== null && (UTIL.isVector2(c) ||
+				typeof c.t === "number" && typeof c.p === "number");
+			if(!isValid) return "must only contain {x, y} or {t, p} objects (see element "+i+")";
+		}
+		return null;
+	},
+	// { class, model, options } where options are read by the projectile
+	projectile: function(v){
+		if(typeof v !== "object" || v === null || Array.isArray(v)) return "must be an object";
+		for(var key in v){
+			if(["class", "model", "options"].indexOf(key) < 0){
+				return 'has an unknown field "'+key+'", the fields available are class, model, options';
+			}
+		}
+		if(v.class != null && ARMORY.PROJECTILES.indexOf(v.class) < 0){
+			return "has a class which must be one of "+ARMORY.PROJECTILES.join(", ");
+		}
+		if(v.model != null && typeof v.model !== "string"){
+			return "has a model which must be a string";
+		}
+		if(v.options != null){
+			if(typeof v.options !== "object" || Array.isArray(v.options)){
+				return "has options which must be an object";
+			}
+			for(var name in v.options){
+				var t = typeof v.options[name];
+				if(t !== "number" && t !== "boolean" && t !== "string"){
+					return 'has an option "'+name+'" which must be a number, a boolean or a string';
+				}
+			}
+		}
+		return null;
+	},
+};
@@ -10,8 +10,9 @@ class Launcher extends HERSTAL.Weapon {
 	@param {Character} character The character holding the weapon
 	@param {Object} [options] Configuration of the weapon
 	@param {Object} [projectile] Configuration of the projectiles
+	@param {Object} [altProjectile] Configuration of the projectiles of the secondary fire
 	*/
-	constructor(name, character, options, projectile){
+	constructor(name, character, options, projectile, altProjectile){
 		options = options || {};
 		// call Weapon constructor
 		super(name, character, options);
@@ -24,13 +25,27 @@ class Launcher extends HERSTAL.Weapon {
 				opt = projectile.options;
 		this.projClass   = typeof clz === "function" ? clz : HERSTAL.Rocket;
 		this.projOptions = typeof opt === "object"   ? opt : {};
+
+		// the secondary fire can launch another kind of projectile
+		altProjectile = altProjectile || null;
+		if(altProjectile !== null){
+			clz = altProjectile.classUsed;
+			opt = altProjectile.options;
+			this.altClass   = typeof clz === "function" ? clz : HERSTAL.Grenade;
+			this.altOptions = typeof opt === "object"   ? opt : {};
+			// it is the default secondary fire of the launcher
+			if(this.secondaryMode === null) this.secondaryMode = HERSTAL.Weapon.ALT_FIRE;
+		}else if(this.secondaryMode === HERSTAL.Weapon.ALT_FIRE){
+			this.secondaryMode = null; // nothing else to launch
+		}
 	}
 
 	/**
 	fire a projectile
 	@method fire
+	@param {Boolean} [alternate] Launch the projectile of the secondary fire
 	*/
-	fire(){
+	fire(alternate){
 		// call default behavior, we don't care about the direction of the shoot
 		// but we care about if we have ammo or not
 		var direction = super.fire();
@@ -40,12 +55,19 @@ class Launcher extends HERSTAL.Weapon {
 			return null;
 		}
 
-		var proj = new this.projClass(
+		var clz = alternate ? this.altClass   : this.projClass,
+				opt = alternate ? this.altOptions : this.projOptions;
+		var proj = new clz(
 			this, // this weapon
 			this.controllable.Position,    // position of the emmiter of the gun
 			this.controllable.Orientation, // orientation of the head of the player
-			this.projOptions,           // options for the projectile
+			opt                            // options for the projectile
 		);
+		// a charged shot deals more damage
+		proj.damage *= this.power;
+		if(proj.explDamage > 0) proj.explDamage *= this.power;
+		// the world will update the projectile each tick
+		this.world.addProjectile(proj);
 	}
 
 }
@@ -15,6 +15,8 @@ class Rifle extends HERSTAL.Weapon {
 	@param {Number}  [options.spreadAmount] How much does the bullet are deviated from their original trajectory
 	@param {Number}  [options.numberOfPellets] How much pellets are generated per shots
 	@param {Number}  [options.knockback] Force at which the enemy will be propelled back by the shot
+	@param {Number}  [options.zoom] Magnification of the scope (if not set, no scope)
+	@param {Number}  [options.zoomSpread] Multiplier of the spread while zoomed
 	*/
 	constructor(name, character, options){
 		options = options || {};
@@ -39,7 +41,7 @@ class Rifle extends HERSTAL.Weapon {
 					if(typeof coord === "object" && coord !== null){
 
 						// if spherical coordinates
-						if(typeof coord.t === typeof coord.p === "number"){
+						if(typeof coord.t === "number" && typeof coord.p === "number"){
 							// https://en.wikipedia.org/wiki/Spherical_coordinate_system
 							var sint = this.distance * Math.sin(coord.t);
 							list[list.length] = { // convert from spherical to carthesian
@@ -48,7 +50,7 @@ class Rifle extends HERSTAL.Weapon {
 							};
 
 						// if carthesian coordinates
-						}else if(typeof coord.x === typeof coord.y === "number"){
+						}else if(UTIL.isVector2(coord)){
 							list[list.length] = coord; // just store the vector
 						}
 					}
@@ -62,16 +64,35 @@ class Rifle extends HERSTAL.Weapon {
 		}
 		// knockback force on direct hit
 		this.knockback = options.knockback || null;
+		// the scope makes the shots more accurate
+		this.zoom       = options.zoom > 1 ? options.zoom : null;
+		this.zoomSpread = options.zoomSpread >= 0 ? options.zoomSpread : Rifle.ZOOM_SPREAD;
+		this.isZoomed   = false;
 
 		// we store the configuration for the raycasts
 		this._raycastOpt = {
 			mode: CANNON.Ray.CLOSEST,
 			skipBackfaces: true,
-			collisionFilterGroup: options.filterGroup || weapon.filterGroup,
-			collisionFilterMask:  options.filterMask  || weapon.filterMask,
+			collisionFilterGroup: options.filterGroup || this.filterGroup,
+			collisionFilterMask:  options.filterMask  || this.filterMask,
 		};
 	}
 
+	/**
+	Look through the scope as long as the zoom input is pressed
+	@method update
+	@param {Object} inputs The inputs of the controller of the holder
+	@param {Number} step The duration of the tick (s)
+	*/
+	update(inputs, step){
+		// the scope can't be used while reloading or switching weapons
+		var state = this.state, W = HERSTAL.Weapon;
+		this.isZoomed = this.zoom !== null && !!(inputs && inputs.zoom) &&
+			state !== W.RELOADING && state !== W.SWITCH_IN && state !== W.SWITCH_OUT;
+		// the shots fired during this tick use the spread of the scope
+		super.update(inputs, step);
+	}
+
 	/**
 	fire a raycast
 	@method fire
@@ -101,6 +122,34 @@ class Rifle extends HERSTAL.Weapon {
 		var mask = body.collisionFilterMask; // we store its default mask
 		body.collisionFilterMask = 0;        // we disable all collisions
 
+		// the shooter aimed at the targets as displayed on his screen
+		// so we cast the rays with the targets where they were back then
+		// (only the server keeps the history of the world)
+		var controller = this.controllable.controller,
+		    inputs = controller !== null ? controller.inputs : null;
+		if(typeof this.world.rewind === "function"){
+			this.world.rewind(inputs ? inputs.view : null, () => {
+				this._castRays(direction, p1, p2, force);
+			}, this.controllable);
+		}else{
+			this._castRays(direction, p1, p2, force);
+		}
+
+		// we restore collisions for the character
+		body.collisionFilterMask = mask;
+	}
+
+	/**
+	Cast the rays of all of the pellets of one shot
+	@method _castRays @private
+	@param {Vec3} direction The direction of the shot
+	@param {Vec3} p1 Starting point of the shot
+	@param {Vec3} p2 Ending point of the shot without spread
+	@param {Vec3} force Force to apply incase of knockback
+	*/
+	_castRays(direction, p1, p2, force){
+		// the spread is reduced while zoomed
+		var scale = this.isZoomed ? this.zoomSpread : 1;
 		// if fixed spread is defined
 		if(this.fixedSpread != null){
 
@@ -119,26 +168,25 @@ class Rifle extends HERSTAL.Weapon {
 				var coord = this.fixedSpread[i]; // coordinates in 2D
 
 				// we get the destination point in space
-				var p3 = p2.vadd(vecU.mult(coord.x).vadd(vecV.mult(coord.y)));
+				var p3 = p2.vadd(vecU.mult(coord.x*scale).vadd(vecV.mult(coord.y*scale)));
 				this._castRay(p1, p3, force);
 			}
 		}else if(this.spread > 0){
-			for(var i=0; i<this.nbPellets; ++i){
+			var spread = this.spread * scale;
+			for(var j=0; j<this.nbPellets; ++j){
 
 				// we add a random vector 3D made within a ball of possible values
-				var p3 = p2.vadd({
-					x: Math.random2() * this.spread,
-					y: Math.random2() * this.spread,
-					z: Math.random2() * this.spread,
+				var p4 = p2.vadd({
+					x: Math.random2() * spread,
+					y: Math.random2() * spread,
+					z: Math.random2() * spread,
 				});
-				this._castRay(p1, p3, force);
+				this._castRay(p1, p4, force);
 			}
 		}else{
 			// just cast the ray
 			this._castRay(p1, p2, force);
 		}
-		// we restore collisions for the character
-		body.collisionFilterMask = mask;
 	}
 
 	/**
@@ -148,10 +196,10 @@ class Rifle extends HERSTAL.Weapon {
 	@param {Vec3} p2 Ending point of the ray
 	@param {Vec3} force Force to apply incase of knockback
 	*/
-	_castRay(p1, p2){
+	_castRay(p1, p2, force){
 		// we create the ray and cast it in the world
-		var ray = new CANNON.Ray(p1, p2, force);
-		var hasHit = ray.intersectWorld(this.world, this._raycastOpt);
+		var ray = new CANNON.Ray(p1, p2);
+		var hasHit = ray.intersectWorld(this.world.cannonWorld, this._raycastOpt);
 
 		// if we hit something
 		if(hasHit){
@@ -162,9 +210,18 @@ class Rifle extends HERSTAL.Weapon {
 			}
 			// if the body is the body of a character
 			if(this.damage > 0 && body.controllable != null){
-				body.controllable.addDamage(this.damage);
+				// a charged shot deals more damage
+				body.controllable.addDamage(new HERSTAL.DamageEvent(this.damage * this.power, {
+					type:   HERSTAL.DamageEvent.BULLET,
+					weapon: this,
+					point:  ray.result.hitPointWorld,
+					shape:  ray.result.shape,
+				}));
 			}
 		}
 	}
 }
 HERSTAL.Rifle = Rifle;
+
+// default multiplier of the spread while zoomed
+Rifle.ZOOM_SPREAD = 0.25;
@@ -0,0 +1,36 @@
+/**
+Rifle firing a spread of pellets, its magazine is reloaded one shell at a time
+@class Shotgun
+@extends Rifle
+*/
+class Shotgun extends HERSTAL.Rifle {
+	/**
+	@constructor
+	@param {String} name The name of the shotgun
+	@param {Character} character The character holding the weapon
+	@param {Object} [options] The configuration of the weapon (see Rifle)
+	@param {Number} [options.reloadTime] Time needed to load one shell (s)
+	*/
+	constructor(name, character, options){
+		// a shotgun always spreads its pellets and loads its shells one by one
+		options = Object.assign({
+			numberOfPellets: Shotgun.PELLETS,
+			spreadAmount:    Shotgun.SPREAD,
+			maxAmmo:         Shotgun.SHELLS,
+			firerate:        Shotgun.FIRERATE,
+			reloadTime:      Shotgun.SHELL_TIME,
+		}, options, {
+			hasSpread:      true,
+			reloadPerShell: true,
+		});
+		super(name, character, options);
+	}
+}
+HERSTAL.Shotgun = Shotgun;
+
+// default configuration of the shotguns
+Shotgun.PELLETS    = 8;
+Shotgun.SPREAD     = Math.DEG2RAD * 5; // angle of the cone of the pellets
+Shotgun.SHELLS     = 6;
+Shotgun.FIRERATE   = 1.5;
+Shotgun.SHELL_TIME = 0.5;
@@ -0,0 +1,394 @@
+/**
+Abstract Base class for all weapons
+@class Weapon
+*/
+class Weapon {
+	/**
+	@constructor
+	@param {String} name The name of the weapon
+	@param {Character} character The character holding the weapon
+	@param {Object} [options] Configuration of the weapon
+	@param {Number} [options.damage] Number of damage dealt by the weapon
+	@param {Number} [options.ammo] Number of ammo currently in the magazine (full by default)
+	@param {Number} [options.maxAmmo] Size of the magazine (if not set, no ammo needed)
+	@param {Number} [options.reserve] Number of ammo carried besides the magazine (if not set, unlimited)
+	@param {Number} [options.maxReserve] Max ammo carried besides the magazine (if not set, no capping)
+	@param {Number} [options.firerate] Number of shots per seconds
+	@param {Number} [options.reloadTime] Time needed to reload the weapon, or one shell (s)
+	@param {Boolean} [options.reloadPerShell] Is the magazine loaded one shell at a time ?
+	@param {Number} [options.switchTime] Time needed to draw or put away the weapon (s)
+	@param {Number} [options.recoilForce] Force at which the holder will be propelled back by the shot
+	@param {Number} [options.filterGroup] Define the collision group of the weapon
+	@param {Number} [options.filterMask] Define the collision mask of the weapon
+	@param {Boolean} [options.notAcquired] Has the weapon not been acquired ?
+	@param {String} [options.secondary] Behaviour of the secondary fire (see Weapon.SECONDARY_MODES)
+	@param {Number} [options.burstCount] Number of shots of a burst
+	@param {Number} [options.burstRate] Number of shots per seconds during a burst
+	@param {Number} [options.chargeTime] Time needed to fully charge a shot (s)
+	@param {Number} [options.maxCharge] Damage multiplier of a fully charged shot
+	*/
+	constructor(name, controllable, options){
+		options = options || {};
+
+		// id of the weapon for multiplayer identification
+		this.id = null;
+
+		// name of the weapon and character using it
+		this.name      = name;
+		this.controllable = controllable;
+
+		// damage dealt by the weapon if raycast or too close range
+		this.damage = options.damage || 0;
+		// if maxAmmo is set and greater than 0, the weapon has a magazine
+		if(options.maxAmmo > 0){
+			this.maxAmmo = options.maxAmmo;
+			this.ammo    = options.ammo >= 0 ?
+				Math.min(options.ammo, options.maxAmmo) : options.maxAmmo;
+			// ammo used to reload the magazine (null if unlimited)
+			this.reserve    = options.reserve    >= 0 ? options.reserve    : null;
+			this.maxReserve = options.maxReserve >= 0 ? options.maxReserve : null;
+		}
+		this.firerate = options.firerate > 0 ? options.firerate : 60;
+		this.recoil   = options.recoilForce || null; // can be negative for dash
+		this.acquired = !options.notAcquired;
+		this.reloadTime = options.reloadTime >= 0 ? options.reloadTime : Weapon.RELOAD_TIME;
+		this.reloadPerShell = !!options.reloadPerShell;
+		this.switchTime = options.switchTime >= 0 ? options.switchTime : Weapon.SWITCH_TIME;
+
+		// secondary fire of the weapon (null if none)
+		this.secondaryMode = Weapon.SECONDARY_MODES.indexOf(options.secondary) > -1 ?
+			options.secondary : null;
+		this.burstCount = options.burstCount > 0 ? options.burstCount : Weapon.BURST_COUNT;
+		this.burstRate  = options.burstRate  > 0 ? options.burstRate  : this.firerate * 2;
+		this.chargeTime = options.chargeTime > 0 ? options.chargeTime : Weapon.CHARGE_TIME;
+		this.maxCharge  = options.maxCharge  > 0 ? options.maxCharge  : Weapon.MAX_CHARGE;
+
+		// state of the weapon, updated each tick (see Weapon.STATES)
+		this.state = Weapon.IDLE;
+		this.timer = 0; // time left before the end of the state (s)
+		this.burstLeft = 0; // shots left in the current burst
+		this.charge    = 0; // charge of the shot within [0, 1]
+		// damage multiplier of the shot being fired
+		this.power = 1;
+
+		// which group and mask should we use for this weapon ?
+		var team = options.team || (controllable != null ? controllable.team : 0);
+		var filter = TEAM.getWeaponFilter(team);
+		this.filterGroup = options.filterGroup || filter.group;
+		this.filterMask  = options.filterMask  || filter.mask ;
+	}
+
+	/**
+	Return the world in which the weapon exists
+	@method get world
+	@return {World} The world of the holder of the weapon
+	*/
+	get world(){
+		return this.controllable.world;
+	}
+
+	/**
+	Update the state of the weapon with the inputs of its holder
+	the shots can't be faster than the firerate, whatever the inputs are
+	@method update
+	@param {Object} inputs The inputs of the controller of the holder
+	@param {Number} step The duration of the tick (s)
+	*/
+	update(inputs, step){
+		inputs = inputs || {};
+		if(this.state !== Weapon.IDLE) this.timer -= step;
+		var isOver = this.timer <= Weapon.EPSILON;
+
+		switch(this.state){
+			// the holder draws its next weapon once this one is put away
+			case Weapon.SWITCH_OUT:
+				return null;
+			case Weapon.SWITCH_IN:
+			case Weapon.COOLDOWN:
+				if(isOver) this.setState(Weapon.IDLE, this.timer);
+				break;
+			case Weapon.RELOADING:
+				if(isOver) this.finishReload();
+				// firing interrupts the reload as soon as there is something to shoot
+				else if(inputs.fire1 && this.ammo > 0) this.cancelReload();
+				break;
+			case Weapon.FIRING:
+				if(isOver) this.setState(Weapon.IDLE, this.timer);
+				// the trigger is released, the weapon recovers from the last shot
+				else if(!inputs.fire1 && !inputs.fire2) this.setState(Weapon.COOLDOWN, this.timer);
+				break;
+			case Weapon.BURSTING:
+				if(isOver){
+					// the burst stops with the magazine
+					if(this.hasAmmo()) this.fireBurst();
+					else this.setState(Weapon.IDLE, this.timer);
+				}
+				break;
+			case Weapon.CHARGING:
+				this.charge = Math.min(1, this.charge + step / this.chargeTime);
+				// the shot leaves once the trigger is released
+				if(!inputs.fire2) this.releaseCharge();
+				break;
+		}
+
+		if(this.state === Weapon.IDLE){
+			if(inputs.fire1 && this.hasAmmo()) this.trigger();
+			else if(inputs.fire2 && this.hasAmmo()) this.secondary();
+			// an empty magazine is reloaded without asking
+			else if(inputs.reload || !this.hasAmmo()) this.reload();
+		}
+		// the time left of the last state only matters to chain the shots
+		if(this.state === Weapon.IDLE) this.timer = 0;
+	}
+
+	/**
+	@method setState
+	@param {String} state The new state of the weapon (see Weapon.STATES)
+	@param {Number} [time] Duration of the state (s)
+	*/
+	setState(state, time){
+		this.state = state;
+		this.timer = time || 0;
+	}
+
+	/**
+	@method hasAmmo
+	@return {Boolean} True if the weapon can fire one more shot
+	*/
+	hasAmmo(){
+		// a weapon without magazine has infinite ammo
+		if(this.maxAmmo == null) return true;
+		return this.ammo > 0;
+	}
+
+	/**
+	Fire one shot if the weapon is ready
+	@method trigger
+	@param {Boolean} [alternate] Fire the shot of the secondary fire
+	@return {Boolean} True if a shot has been fired
+	*/
+	trigger(alternate){
+		if(this.state !== Weapon.IDLE || !this.hasAmmo()) return false;
+		this.fire(alternate);
+		// the delay between two shots starts from the end of the previous one
+		this.setState(Weapon.FIRING, Math.min(this.timer, 0) + 1 / this.firerate);
+		return true;
+	}
+
+	/**
+	@method canReload
+	@return {Boolean} True if the magazine isn't full and there is ammo to fill it
+	*/
+	canReload(){
+		return this.maxAmmo > 0 && this.ammo < this.maxAmmo &&
+			(this.reserve === null || this.reserve > 0);
+	}
+
+	/**
+	Start reloading the weapon if it is ready and can be reloaded
+	@method reload
+	@return {Boolean} True if the weapon is reloading
+	*/
+	reload(){
+		if(this.state !== Weapon.IDLE || !this.canReload()) return false;
+		this.setState(Weapon.RELOADING, this.reloadTime);
+		return true;
+	}
+
+	/**
+	Move the ammo from the reserve to the magazine once the reload is over
+	@method finishReload
+	*/
+	finishReload(){
+		// the whole magazine or only one shell
+		var count = this.maxAmmo - this.ammo;
+		if(this.reloadPerShell) count = Math.min(count, 1);
+		if(this.reserve !== null){
+			count = Math.min(count, this.reserve);
+			this.reserve -= count;
+		}
+		this.ammo += count;
+		// shells are loaded one after the other until the magazine is full
+		if(this.reloadPerShell && this.canReload()){
+			this.setState(Weapon.RELOADING, this.timer + this.reloadTime);
+		}else{
+			this.setState(Weapon.IDLE, this.timer);
+		}
+	}
+
+	/**
+	Stop the reload in progress, the ammo not loaded yet stays in the reserve
+	@method cancelReload
+	@return {Boolean} True if a reload has been stopped
+	*/
+	cancelReload(){
+		if(this.state !== Weapon.RELOADING) return false;
+		this.setState(Weapon.IDLE);
+		return true;
+	}
+
+	/**
+	Add ammo to the reserve of the weapon
+	@method addAmmo
+	@param {Number} ammo The number of ammo to give
+	*/
+	addAmmo(ammo){
+		if(this.reserve != null){
+			this.reserve += ammo;
+			// if reserve is higher than max and max not null
+			if(this.reserve > this.maxReserve && this.maxReserve != null)
+				this.reserve = this.maxReserve; // we cap the value
+		}
+	}
+
+	/**
+	Stop using the weapon for a while (melee attack), a reload in progress is cancelled
+	a weapon being drawn or put away isn't affected
+	@method interrupt
+	@param {Number} time The time during which the weapon can't be used (s)
+	*/
+	interrupt(time){
+		if(this.state === Weapon.SWITCH_IN || this.state === Weapon.SWITCH_OUT) return null;
+		// the delay of the last shot still applies
+		var left = this.state !== Weapon.RELOADING ? this.timer : 0;
+		this.burstLeft = 0;
+		this.charge    = 0;
+		this.setState(Weapon.COOLDOWN, Math.max(left, time));
+	}
+
+	/**
+	Start drawing the weapon, it can't be used until it is ready
+	@method draw
+	*/
+	draw(){
+		this.setState(Weapon.SWITCH_IN, this.switchTime);
+	}
+
+	/**
+	Start putting the weapon away, a reload in progress is cancelled
+	@method holster
+	*/
+	holster(){
+		this.setState(Weapon.SWITCH_OUT, this.switchTime);
+	}
+
+	/**
+	@method isHolstered
+	@return {Boolean} True once the weapon has been put away
+	*/
+	isHolstered(){
+		return this.state === Weapon.SWITCH_OUT && this.timer <= Weapon.EPSILON;
+	}
+
+	/**
+	Method called when the weapon is equiped and the player press fire1
+	@method fire
+	@return {Vec3} The direction the character is facing
+	*/
+	fire(){
+		// if we have defined a maximum ammo
+		if(this.maxAmmo > 0){
+			// we have still ammo, we remove a bit of it
+			if(this.ammo > 0) --this.ammo;
+			else return null; // no more ammo, cannot shoot
+		}
+
+		// direction the character is facing
+		var direction = UTIL.getForwardFromAngles(this.controllable.Orientation);
+
+		// if we have setted a recoil force
+		if(typeof this.recoil === "number"){
+			// we get the force of the recoil
+			var force = direction.scale(-this.recoil),
+					body  = this.controllable.Body;
+			// and we apply it on the body of the character
+			body.applyImpulse(force, body.position);
+		}
+
+		// we return the direction the character is facing
+		return direction;
+	}
+
+	/**
+	Method called when the weapon is ready and the player press fire2
+	@method secondary
+	@return {Boolean} True if the secondary fire started
+	*/
+	secondary(){
+		if(this.state !== Weapon.IDLE) return false;
+		switch(this.secondaryMode){
+			case Weapon.BURST_FIRE:
+				this.burstLeft = this.burstCount;
+				this.fireBurst();
+				return true;
+			case Weapon.CHARGED_SHOT:
+				this.charge = 0;
+				this.setState(Weapon.CHARGING);
+				return true;
+			// the extending classes fire their alternate shot
+			case Weapon.ALT_FIRE:
+				return this.trigger(true);
+		}
+		return false;
+	}
+
+	/**
+	Fire the next shot of the burst
+	@method fireBurst
+	*/
+	fireBurst(){
+		this.fire();
+		--this.burstLeft;
+		var carry = Math.min(this.timer, 0);
+		if(this.burstLeft > 0) this.setState(Weapon.BURSTING, carry + 1 / this.burstRate);
+		// the weapon recovers once the burst is over
+		else this.setState(Weapon.COOLDOWN, carry + 1 / this.firerate);
+	}
+
+	/**
+	Fire the charged shot, its damage grows with the charge
+	@method releaseCharge
+	*/
+	releaseCharge(){
+		this.power = 1 + (this.maxCharge - 1) * this.charge;
+		this.fire();
+		this.power  = 1;
+		this.charge = 0;
+		this.setState(Weapon.COOLDOWN, 1 / this.firerate);
+	}
+}
+// we add the class to the Namespace
+HERSTAL.Weapon = Weapon;
+
+// states of the weapons
+Weapon.IDLE       = "idle";      // ready to fire
+Weapon.FIRING     = "firing";    // shooting as long as the trigger is pressed
+Weapon.COOLDOWN   = "cooldown";  // recovering from the last shot
+Weapon.RELOADING  = "reloading";
+Weapon.SWITCH_IN  = "switchIn";  // being drawn
+Weapon.SWITCH_OUT = "switchOut"; // being put away
+Weapon.BURSTING   = "bursting";  // firing the shots of a burst
+Weapon.CHARGING   = "charging";  // charging a shot as long as the trigger is pressed
+// the index of the state is sent in the snapshots, new states go at the end
+Weapon.STATES = [
+	Weapon.IDLE, Weapon.FIRING, Weapon.COOLDOWN,
+	Weapon.RELOADING, Weapon.SWITCH_IN, Weapon.SWITCH_OUT,
+	Weapon.BURSTING, Weapon.CHARGING,
+];
+// index sent when the character holds no weapon (fits in a uint8)
+Weapon.NO_STATE = 255;
+
+// behaviours of the secondary fire
+Weapon.BURST_FIRE   = "burst";     // a few shots faster than the firerate
+Weapon.CHARGED_SHOT = "charge";    // the longer the charge, the higher the damage
+Weapon.ALT_FIRE     = "alternate"; // another kind of shot (see Launcher)
+Weapon.SECONDARY_MODES = [Weapon.BURST_FIRE, Weapon.CHARGED_SHOT, Weapon.ALT_FIRE];
+Weapon.BURST_COUNT = 3;
+Weapon.MAX_CHARGE  = 3;
+
+// default durations in seconds
+Weapon.RELOAD_TIME = 1.5;
+Weapon.SWITCH_TIME = 0.5;
+Weapon.CHARGE_TIME = 1;
+// margin for the rounding errors of the timers (s)
+Weapon.EPSILON = 1e-6;
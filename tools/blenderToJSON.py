@@ -2,6 +2,10 @@
 to use this script, you need an object with the name "PHYSICS"
 all of the children of this object will create CANNON.Box based on their
 dimensions, locations and rotation
+the children of the optional object "SPAWNS" are spawn points, their
+custom property "team" restricts them to a team (0 or none for everyone)
+the children of the optional object "FLAGS" are the flag bases of the teams
+the children of the optional object "ZONES" are the capture zones
 """
 
 import math
@@ -41,7 +45,7 @@ for box in physics:
 	rot = box.rotation_euler.to_quaternion()
 	# we append the data of the box to the list
 	script += """[
-	[ %(sx)f, %(sx)f, %(sz)f ],
+	[ %(sx)f, %(sy)f, %(sz)f ],
 	[ %(px)f, %(py)f, %(pz)f ],
 	[ %(rx)f, %(ry)f, %(rz)f, %(rw)f ]
 ]""" % {
@@ -50,8 +54,64 @@ for box in physics:
 		'rx': rot.x, 'ry': rot.y, 'rz': rot.z, 'rw': rot.w
 	}
 
+# end of boxes
+script += "]"
+
+# points of the map are children of an optional object
+def writePoints(rootName, key, withOrientation):
+	if rootName not in bpy.data.objects:
+		return ""
+	pointRoot = bpy.data.objects[rootName]
+	text = """,
+	"%s":[
+""" % key
+	delimiter = ""
+	for obj in bpy.data.objects:
+		if obj.parent == pointRoot:
+			text += delimiter
+			delimiter = ","
+			pos = obj.matrix_world.to_translation()
+			text += """{
+	"position":[ %(px)f, %(py)f, %(pz)f ],""" % { 'px': pos.x, 'py': pos.y, 'pz': pos.z }
+			if withOrientation:
+				text += """
+	"orientation":%f,""" % obj.rotation_euler.z
+			text += """
+	"team":%d
+}""" % obj.get("team", 0)
+	return text + "]"
+
+# spawn points of the characters
+script += writePoints("SPAWNS", "spawns", True)
+# bases of the flags for capture the flag
+script += writePoints("FLAGS", "flags", False)
+
+# capture zones are boxes in world space, children of an optional object
+if "ZONES" in bpy.data.objects:
+	zoneRoot = bpy.data.objects["ZONES"]
+	script += """,
+	"zones":[
+"""
+	delimiter = ""
+	for obj in bpy.data.objects:
+		if obj.parent == zoneRoot:
+			script += delimiter
+			delimiter = ","
+			ext = obj.dimensions.copy() * 0.5
+			pos, rot, scale = obj.matrix_world.decompose()
+			script += """[
+	[ %(sx)f, %(sy)f, %(sz)f ],
+	[ %(px)f, %(py)f, %(pz)f ],
+	[ %(rx)f, %(ry)f, %(rz)f, %(rw)f ]
+]""" % {
+				'sx': ext.x, 'sy': ext.y, 'sz': ext.z,
+				'px': pos.x, 'py': pos.y, 'pz': pos.z,
+				'rx': rot.x, 'ry': rot.y, 'rz': rot.z, 'rw': rot.w
+			}
+	script += "]"
+
 # end of script
-script += "]}"
+script += "}"
 
 print(script)
 
@@ -67,6 +127,29 @@ the resulting JSON files will have the following template:
 			[x,y,z,w] // orientation of the shape
 		],
 		...
+	],
+	"spawns":[ // optional
+		{
+			"position":[x,y,z], // foot position of the character
+			"orientation":a,    // angle of the character
+			"team":t            // team allowed to spawn here (0 for everyone)
+		},
+		...
+	],
+	"flags":[ // optional
+		{
+			"position":[x,y,z], // position of the base
+			"team":t            // team owning the flag
+		},
+		...
+	],
+	"zones":[ // optional, in world space
+		[
+			[x,y,z],  // halfExtends of the zone
+			[x,y,z],  // position of the zone
+			[x,y,z,w] // orientation of the zone
+		],
+		...
 	]
 }
 """